@@ -29,6 +29,26 @@ export const Layout = ({ children, revision, hmrUniqueId }: {
           href="https://fonts.googleapis.com/css2?family=Crimson+Pro:ital,wght@0,400;0,600;1,400;1,600&family=Pixelify+Sans:wght@400;500;700&display=swap"
         />
 
+        {/* Blog feeds */}
+        <link
+          rel="alternate"
+          type="application/rss+xml"
+          title="vibegui.com"
+          href="/feed.xml"
+        />
+        <link
+          rel="alternate"
+          type="application/atom+xml"
+          title="vibegui.com"
+          href="/atom.xml"
+        />
+        <link
+          rel="alternate"
+          type="application/feed+json"
+          title="vibegui.com"
+          href="/feed.json"
+        />
+
         {/* Web Manifest */}
         <link rel="manifest" href={asset("/site.webmanifest")} />
       </Head>
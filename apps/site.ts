@@ -1,9 +1,48 @@
 import blog from "apps/blog/mod.ts";
-import website, { Props } from "apps/website/mod.ts";
+import website, { Props as WebsiteProps } from "apps/website/mod.ts";
+import type { Secret } from "apps/website/loaders/secret.ts";
 import manifest, { Manifest } from "../manifest.gen.ts";
+import type { Author, Category } from "../sdk/blog.ts";
+import type { LanguageFallback } from "../sdk/translations.ts";
 import { type App as App, type AppContext as AC } from "@deco/deco";
 type WebsiteApp = ReturnType<typeof website>;
 type BlogApp = ReturnType<typeof blog>;
+export interface BlogConfig {
+  /**
+   * @title Translations server
+   * @description MCP endpoint of the vibegui-internal server holding post translations, e.g. https://example.deco.page/mcp. Leave empty to always serve the original post.
+   */
+  translationsUrl?: string;
+  /**
+   * @title Languages
+   * @description Language codes served under /:lang/blog/:slug
+   * @default ["pt", "en"]
+   */
+  languages?: string[];
+  /**
+   * @title Language fallbacks
+   * @description What to serve when a post has no translation in a language, e.g. pt-br: [pt, original]. Languages without one fall back to their base language, then to the original.
+   */
+  languageFallbacks?: LanguageFallback[];
+  /**
+   * @title Preview token
+   * @description Lets draft, scheduled and unlisted posts render at their URL with ?preview=<token>
+   */
+  previewToken?: Secret;
+  /**
+   * @title Default authors
+   * @description Authors of posts created through UpsertBlogPost without any
+   */
+  defaultAuthors?: Author[];
+  /**
+   * @title Default categories
+   * @description Categories of posts created through UpsertBlogPost without any
+   */
+  defaultCategories?: Category[];
+}
+export interface Props extends WebsiteProps {
+  blog?: BlogConfig;
+}
 /**
  * @title Site
  * @description Start your site from a template or from scratch.
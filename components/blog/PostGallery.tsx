@@ -0,0 +1,51 @@
+import Image from "apps/website/components/Image.tsx";
+import Icon from "site/components/ui/Icon.tsx";
+import Slider from "site/components/ui/Slider/index.tsx";
+import type { GalleryImage } from "site/sdk/gallery.ts";
+import { useId } from "site/sdk/useId.ts";
+
+export interface Props {
+  images: GalleryImage[];
+}
+
+export default function PostGallery({ images }: Props) {
+  const id = useId();
+
+  return (
+    <div id={id} class="relative my-12">
+      <Slider
+        class="carousel carousel-center w-full gap-4 rounded-2xl"
+        rootId={id}
+      >
+        {images.map((image, index) => (
+          <Slider.Item index={index} class="carousel-item w-full">
+            <Image
+              class="w-full object-contain max-h-[600px]"
+              src={image.src}
+              alt={image.alt || `Image ${index + 1} of ${images.length}`}
+              width={768}
+              loading={index === 0 ? "eager" : "lazy"}
+            />
+          </Slider.Item>
+        ))}
+      </Slider>
+      <div class="flex items-center justify-center gap-4 mt-4">
+        <Slider.PrevButton class="btn btn-circle btn-sm btn-outline disabled:opacity-30">
+          <Icon id="ChevronLeft" size={20} strokeWidth={2} />
+        </Slider.PrevButton>
+        <ul class="flex gap-2">
+          {images.map((_, index) => (
+            <li>
+              <Slider.Dot index={index}>
+                <div class="w-2 h-2 rounded-full bg-base-300 group-disabled:bg-primary" />
+              </Slider.Dot>
+            </li>
+          ))}
+        </ul>
+        <Slider.NextButton class="btn btn-circle btn-sm btn-outline disabled:opacity-30">
+          <Icon id="ChevronRight" size={20} strokeWidth={2} />
+        </Slider.NextButton>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+import type { BlogPost } from "apps/blog/types.ts";
+import { Head } from "@deco/deco/htmx";
+import type { AuthorProfile } from "site/sdk/authors.ts";
+import { postDescription, postTitle } from "site/sdk/blog.ts";
+import { postImage } from "site/sdk/ogImage.ts";
+import { isVisibleCategory } from "site/sdk/postFilters.ts";
+
+export interface Props {
+  post: BlogPost;
+  /** Post authors with their registry profiles, see sdk/authors.ts */
+  authors?: AuthorProfile[];
+  /** Absolute URL of the preferred version of this page */
+  canonical: string;
+  /** Language the post is rendered in */
+  language?: string;
+  /** Site title template, e.g. "%s | vibegui.com" */
+  titleTemplate?: string;
+  siteName?: string;
+}
+
+// og:locale wants a territory; these are the ones the posts are written for
+const OG_LOCALES: Record<string, string> = {
+  pt: "pt_BR",
+  en: "en_US",
+  es: "es_ES",
+};
+
+const day = (date?: string) => {
+  const time = date ? new Date(date).getTime() : NaN;
+  return isNaN(time) ? undefined : new Date(time).toISOString().slice(0, 10);
+};
+
+/** schema.org BlogPosting for the post, see https://schema.org/BlogPosting */
+export function blogPosting(
+  post: BlogPost,
+  { canonical, language, image, authors = post.authors ?? [] }: {
+    canonical: string;
+    language?: string;
+    image?: string;
+    authors?: AuthorProfile[];
+  },
+) {
+  const updatedAt = (post as BlogPost & { updatedAt?: string }).updatedAt;
+  const likes = post.interactionStatistic?.userInteractionCount;
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "BlogPosting",
+    "@id": canonical,
+    mainEntityOfPage: canonical,
+    url: canonical,
+    headline: postTitle(post),
+    description: postDescription(post),
+    ...(image ? { image } : {}),
+    datePublished: day(post.date),
+    dateModified: day(updatedAt) ?? day(post.date),
+    ...(language ? { inLanguage: language } : {}),
+    author: authors.map((author) => ({
+      "@type": "Person",
+      name: author.name,
+      ...(author.jobTitle ? { jobTitle: author.jobTitle } : {}),
+      ...(author.company
+        ? { worksFor: { "@type": "Organization", name: author.company } }
+        : {}),
+      ...(author.links?.length
+        ? { sameAs: author.links.map((link) => link.url) }
+        : {}),
+    })),
+    keywords: (post.categories ?? [])
+      .filter(isVisibleCategory)
+      .map((category) => category.name),
+    ...(typeof likes === "number"
+      ? {
+        interactionStatistic: {
+          "@type": "InteractionCounter",
+          interactionType: "https://schema.org/LikeAction",
+          userInteractionCount: likes,
+        },
+      }
+      : {}),
+  };
+}
+
+// JSON in a <script> must not close it early
+const jsonLd = (data: unknown) => JSON.stringify(data).replace(/</g, "\\u003c");
+
+/**
+ * <title>, description, canonical, Open Graph, Twitter card and JSON-LD
+ * for a blog post page. Every tag has a key so it replaces the site-wide
+ * default of the same kind.
+ */
+export default function PostSeo(
+  { post, authors, canonical, language, titleTemplate, siteName }: Props,
+) {
+  const title = postTitle(post);
+  const description = postDescription(post);
+  // Posts without an image get a generated card
+  const image = new URL(postImage(post), canonical).href;
+  const tags = (post.categories ?? []).filter(isVisibleCategory);
+  const updatedAt = (post as BlogPost & { updatedAt?: string }).updatedAt;
+
+  return (
+    <Head>
+      <title key="title">
+        {titleTemplate ? titleTemplate.replace("%s", title) : title}
+      </title>
+      <meta key="description" name="description" content={description} />
+      <link key="canonical" rel="canonical" href={canonical} />
+
+      <meta key="og:type" property="og:type" content="article" />
+      <meta key="og:title" property="og:title" content={title} />
+      <meta
+        key="og:description"
+        property="og:description"
+        content={description}
+      />
+      <meta key="og:url" property="og:url" content={canonical} />
+      {siteName && (
+        <meta key="og:site_name" property="og:site_name" content={siteName} />
+      )}
+      {language && (
+        <meta
+          key="og:locale"
+          property="og:locale"
+          content={OG_LOCALES[language] ?? language}
+        />
+      )}
+      {image && <meta key="og:image" property="og:image" content={image} />}
+      {day(post.date) && (
+        <meta
+          key="article:published_time"
+          property="article:published_time"
+          content={day(post.date)}
+        />
+      )}
+      {day(updatedAt) && (
+        <meta
+          key="article:modified_time"
+          property="article:modified_time"
+          content={day(updatedAt)}
+        />
+      )}
+      {(post.authors ?? []).map((author) => (
+        <meta
+          key={`article:author:${author.name}`}
+          property="article:author"
+          content={author.name}
+        />
+      ))}
+      {tags.map((tag) => (
+        <meta
+          key={`article:tag:${tag.slug}`}
+          property="article:tag"
+          content={tag.name}
+        />
+      ))}
+
+      <meta
+        key="twitter:card"
+        name="twitter:card"
+        content={image ? "summary_large_image" : "summary"}
+      />
+      <meta key="twitter:title" name="twitter:title" content={title} />
+      <meta
+        key="twitter:description"
+        name="twitter:description"
+        content={description}
+      />
+      {image && (
+        <meta key="twitter:image" name="twitter:image" content={image} />
+      )}
+
+      <script
+        key="json-ld:post"
+        type="application/ld+json"
+        dangerouslySetInnerHTML={{
+          __html: jsonLd(
+            blogPosting(post, { canonical, language, image, authors }),
+          ),
+        }}
+      />
+    </Head>
+  );
+}
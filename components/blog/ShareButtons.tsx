@@ -0,0 +1,102 @@
+import { useScript } from "@deco/deco/hooks";
+import Icon, { type AvailableIcons } from "site/components/ui/Icon.tsx";
+import { useId } from "site/sdk/useId.ts";
+
+export interface Props {
+  /** Absolute URL to share */
+  url: string;
+  title: string;
+  text?: string;
+}
+
+interface ShareTarget {
+  label: string;
+  icon: AvailableIcons;
+  href: string;
+}
+
+export const shareTargets = (
+  { url, title, text = "" }: Props,
+): ShareTarget[] => {
+  const q = (params: Record<string, string>) => new URLSearchParams(params);
+  return [
+    {
+      label: "Share on LinkedIn",
+      icon: "LinkedinOutline",
+      href: `https://www.linkedin.com/sharing/share-offsite/?${q({ url })}`,
+    },
+    {
+      label: "Share on X",
+      icon: "XTwitter",
+      href: `https://x.com/intent/tweet?${q({ url, text: title })}`,
+    },
+    {
+      label: "Share on WhatsApp",
+      icon: "WhatsApp",
+      href: `https://wa.me/?${q({ text: `${title} ${url}` })}`,
+    },
+    {
+      label: "Share by email",
+      icon: "Envelope",
+      // mailto wants %20 for spaces, not the + URLSearchParams writes
+      href: `mailto:?subject=${encodeURIComponent(title)}&body=${
+        encodeURIComponent([text, url].filter(Boolean).join("\n\n"))
+      }`,
+    },
+  ];
+};
+
+const COPIED_MS = 2000;
+
+// Runs in the browser: only its arguments are in scope
+const copyLink = (rootId: string, copiedMs: number) => {
+  const button = document.getElementById(rootId);
+  button?.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(button.dataset.url ?? location.href);
+      button.dataset.copied = "true";
+      setTimeout(() => delete button.dataset.copied, copiedMs);
+    } catch (_) {
+      // Clipboard access denied: the URL is still in the address bar
+    }
+  });
+};
+
+export default function ShareButtons(props: Props) {
+  const id = useId();
+  const button = "bg-gray-200 rounded-full p-1 hover:bg-gray-300";
+
+  return (
+    <div class="flex items-center gap-2">
+      {shareTargets(props).map(({ label, icon, href }) => (
+        <a
+          href={href}
+          target={href.startsWith("mailto:") ? undefined : "_blank"}
+          rel="noopener noreferrer"
+          aria-label={label}
+          title={label}
+          class={button}
+        >
+          <Icon id={icon} size={24} />
+        </a>
+      ))}
+      <button
+        type="button"
+        id={id}
+        data-url={props.url}
+        aria-label="Copy link"
+        title="Copy link"
+        class={`group flex items-center gap-1 ${button}`}
+      >
+        <Icon id="Link" size={24} />
+        <span class="hidden group-data-[copied]:inline text-xs pr-2">
+          Copied!
+        </span>
+      </button>
+      <script
+        type="module"
+        dangerouslySetInnerHTML={{ __html: useScript(copyLink, id, COPIED_MS) }}
+      />
+    </div>
+  );
+}
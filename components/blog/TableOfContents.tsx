@@ -0,0 +1,65 @@
+import { useScript } from "@deco/deco/hooks";
+import type { TocEntry } from "site/sdk/content.ts";
+import { useId } from "site/sdk/useId.ts";
+
+export interface Props {
+  entries: TocEntry[];
+  title: string;
+  /** Off when something around the list already shows the title */
+  showTitle?: boolean;
+}
+
+// Runs in the browser: marks the link of the section being read
+const trackSection = (rootId: string) => {
+  const root = document.getElementById(rootId);
+  const links = [...root?.querySelectorAll<HTMLAnchorElement>("a") ?? []];
+  const headings = links
+    .map((link) => document.getElementById(link.hash.slice(1)))
+    .filter((heading): heading is HTMLElement => !!heading);
+
+  const observer = new IntersectionObserver(() => {
+    // The last heading above the top third of the screen
+    const current = headings.filter((heading) =>
+      heading.getBoundingClientRect().top < innerHeight / 3
+    ).at(-1) ?? headings[0];
+    for (const link of links) {
+      if (link.hash === `#${current?.id}`) {
+        link.ariaCurrent = "location";
+      } else link.removeAttribute("aria-current");
+    }
+  }, { rootMargin: "0px 0px -66% 0px" });
+  headings.forEach((heading) => observer.observe(heading));
+};
+
+export default function TableOfContents(
+  { entries, title, showTitle = true }: Props,
+) {
+  const id = useId();
+  const top = Math.min(...entries.map((entry) => entry.level));
+
+  return (
+    <nav id={id} aria-label={title} class="text-sm">
+      {showTitle && (
+        <p class="font-bold uppercase tracking-wide mb-3">{title}</p>
+      )}
+      <ol class="flex flex-col gap-2 border-l border-secondary">
+        {entries.map((entry) => (
+          <li key={entry.id}>
+            <a
+              href={`#${entry.id}`}
+              class={`block -ml-px border-l-2 border-transparent ${
+                entry.level > top ? "pl-8" : "pl-4"
+              } hover:text-primary aria-[current]:border-primary aria-[current]:text-primary aria-[current]:font-semibold`}
+            >
+              {entry.text}
+            </a>
+          </li>
+        ))}
+      </ol>
+      <script
+        type="module"
+        dangerouslySetInnerHTML={{ __html: useScript(trackSection, id) }}
+      />
+    </nav>
+  );
+}
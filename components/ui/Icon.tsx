@@ -40,7 +40,8 @@ export type AvailableIcons =
   | "Link"
   | "LinkedinOutline"
   | "FacebookOutline"
-  | "TwitterOutline";
+  | "TwitterOutline"
+  | "Envelope";
 
 interface Props extends JSX.SVGAttributes<SVGSVGElement> {
   /**
@@ -1,6 +1,8 @@
 import { build } from "@deco/dev/tailwind";
+import { writeSearchIndex } from "site/sdk/search.ts";
 await build();
 import "./main.ts";
 if (Deno.args.includes("build")) {
+  await writeSearchIndex();
   Deno.exit(0);
 }
@@ -0,0 +1,62 @@
+import type { AppContext } from "site/apps/site.ts";
+import { getBlogPosts } from "site/sdk/blog.ts";
+import {
+  FEED_BUILDERS,
+  FEED_CONTENT_TYPES,
+  type FeedFormat,
+} from "site/sdk/feeds.ts";
+import { languageName } from "site/sdk/language.ts";
+import { filterPosts, filtersFromUrl } from "site/sdk/postFilters.ts";
+
+export interface Props {
+  format: FeedFormat;
+  /**
+   * @description Maximum number of posts in the feed
+   * @default 50
+   */
+  limit?: number;
+}
+
+/**
+ * @title Blog Feed
+ * @description RSS, Atom or JSON Feed of the blog posts. Takes the same `category` and `lang` query parameters as the blog listing, e.g. /feed.xml?category=ai&lang=en
+ */
+export default function FeedHandler(
+  { format, limit = 50 }: Props,
+  ctx: AppContext,
+) {
+  return async (req: Request) => {
+    const url = new URL(req.url);
+    const { category, lang } = filtersFromUrl(url);
+    const posts = filterPosts(await getBlogPosts(), { category, lang })
+      .slice(0, limit);
+
+    const siteTitle = ctx.seo?.title ?? url.host;
+    const qualifiers = [
+      category && posts[0]?.categories?.find((c) => c.slug === category)?.name,
+      lang && languageName(lang),
+    ].filter(Boolean);
+    const home = new URL("/blog", url.origin);
+    if (category) home.searchParams.set("category", category);
+    if (lang) home.searchParams.set("lang", lang);
+
+    const body = FEED_BUILDERS[format]({
+      title: qualifiers.length
+        ? `${siteTitle} (${qualifiers.join(", ")})`
+        : siteTitle,
+      description: ctx.seo?.description ?? "",
+      siteUrl: url.origin,
+      feedUrl: url.href,
+      homeUrl: home.href,
+      language: lang,
+      author: posts[0]?.authors?.[0]?.name,
+    }, posts);
+
+    return new Response(body, {
+      headers: {
+        "content-type": FEED_CONTENT_TYPES[format],
+        "cache-control": "public, max-age=600",
+      },
+    });
+  };
+}
@@ -0,0 +1,139 @@
+import { initWasm, Resvg } from "@resvg/resvg-wasm";
+import { findBlockBySlug, postVisibility, toBlogPost } from "site/sdk/blog.ts";
+import { sha256 } from "site/sdk/hash.ts";
+import {
+  CARD_FONTS,
+  cardContent,
+  loadPalette,
+  OG_PATH_PATTERN,
+  renderCardSvg,
+} from "site/sdk/ogImage.ts";
+
+export interface Props {
+  /**
+   * @description Cards kept in memory, by content hash
+   * @default 200
+   */
+  cacheSize?: number;
+}
+
+const RESVG_WASM =
+  "https://cdn.jsdelivr.net/npm/@resvg/resvg-wasm@2.6.2/index_bg.wasm";
+const FONT_CSS = (family: string, weight: number) =>
+  `https://fonts.googleapis.com/css2?family=${
+    family.replace(/ /g, "+")
+  }:wght@${weight}`;
+
+let wasm: Promise<void> | null = null;
+let fonts: Promise<Uint8Array[]> | null = null;
+
+// initWasm throws once it has succeeded, so it must only ever succeed once;
+// a failed load (the fetch, say) leaves it free to be tried again
+function loadWasm() {
+  return wasm ??= initWasm(fetch(RESVG_WASM)).catch((err) => {
+    wasm = null;
+    throw err;
+  });
+}
+
+/**
+ * Loads the card fonts once. Google Fonts serves TrueType to clients it
+ * does not recognize, which is what resvg needs.
+ */
+function loadFonts() {
+  fonts ??= Promise.all(
+    ([
+      [CARD_FONTS.title, 400],
+      [CARD_FONTS.title, 600],
+      [CARD_FONTS.brand, 400],
+      [CARD_FONTS.brand, 700],
+    ] as const).map(async ([family, weight]) => {
+      const css = await fetch(FONT_CSS(family, weight)).then((res) =>
+        res.text()
+      );
+      const url = css.match(/src:\s*url\(([^)]+)\)/)?.[1];
+      if (!url) throw new Error(`No font file for ${family} ${weight}`);
+      return new Uint8Array(await fetch(url).then((res) => res.arrayBuffer()));
+    }),
+  ).catch((err) => {
+    // Retry on the next request instead of keeping a failed load around
+    fonts = null;
+    throw err;
+  });
+  return fonts;
+}
+
+/** The rasterizer and the card fonts, each loaded once */
+async function setup() {
+  const [buffers] = await Promise.all([loadFonts(), loadWasm()]);
+  return buffers;
+}
+
+const cache = new Map<string, Uint8Array>();
+
+async function toPng(svg: string, key: string, cacheSize: number) {
+  const hit = cache.get(key);
+  if (hit) return hit;
+
+  const fontBuffers = await setup();
+  const png = new Resvg(svg, {
+    font: {
+      fontBuffers,
+      loadSystemFonts: false,
+      defaultFontFamily: CARD_FONTS.title,
+    },
+  }).render().asPng();
+
+  cache.set(key, png);
+  // Maps keep insertion order, so the first key is the oldest card
+  if (cache.size > cacheSize) cache.delete(cache.keys().next().value!);
+  return png;
+}
+
+/**
+ * @title Post Share Card
+ * @description Generated Open Graph image for a blog post, as PNG or SVG: /og/:slug.png
+ */
+export default function OgImageHandler({ cacheSize = 200 }: Props) {
+  return async (req: Request) => {
+    const url = new URL(req.url);
+    const [, slug, format] = url.pathname.match(OG_PATH_PATTERN) ?? [];
+    const entry = slug ? await findBlockBySlug(decodeURIComponent(slug)) : null;
+    // Drafts and scheduled posts must not leak their title through the card
+    if (!entry || postVisibility(entry.block.post) === "hidden") {
+      return new Response("Not found", { status: 404 });
+    }
+
+    const svg = renderCardSvg(
+      cardContent(toBlogPost(entry.block)),
+      await loadPalette(),
+    );
+    const etag = `"${(await sha256(svg)).slice(0, 32)}-${format}"`;
+    const headers = {
+      etag,
+      // The ?v= in card URLs changes with the content, so they never go stale
+      "cache-control": url.searchParams.has("v")
+        ? "public, max-age=31536000, immutable"
+        : "public, max-age=3600",
+    };
+    if (req.headers.get("if-none-match") === etag) {
+      return new Response(null, { status: 304, headers });
+    }
+
+    if (format === "svg") {
+      return new Response(svg, {
+        headers: { ...headers, "content-type": "image/svg+xml" },
+      });
+    }
+    try {
+      const png = await toPng(svg, etag, cacheSize);
+      return new Response(png, {
+        headers: { ...headers, "content-type": "image/png" },
+      });
+    } catch (err) {
+      console.error("[ogImage] PNG rendering failed", String(err));
+      url.pathname = url.pathname.replace(/\.png$/, ".svg");
+      return Response.redirect(url, 302);
+    }
+  };
+}
@@ -0,0 +1,88 @@
+import type { AppContext } from "site/apps/site.ts";
+import { getBlogPosts } from "site/sdk/blog.ts";
+import { DEFAULT_LANGUAGES } from "site/sdk/language.ts";
+import {
+  blogSitemapUrls,
+  pageLastmod,
+  paginateSitemap,
+  SITEMAP_PAGE_PATTERN,
+  SITEMAP_PAGE_SIZE,
+  sitemapPagePath,
+  type SitemapUrl,
+  toSitemapIndex,
+  toUrlset,
+} from "site/sdk/sitemap.ts";
+import {
+  listPostTranslations,
+  type PostLanguages,
+} from "site/sdk/translations.ts";
+
+export interface Props {
+  /**
+   * @description Pages listed besides the blog posts
+   * @default ["/", "/blog"]
+   */
+  paths?: string[];
+  /**
+   * @description URLs per sitemap file. Past this, /sitemap.xml becomes an index of /sitemap-1.xml, /sitemap-2.xml...
+   * @default 5000
+   */
+  pageSize?: number;
+}
+
+const xml = (body: string, status = 200) =>
+  new Response(body, {
+    status,
+    headers: {
+      "content-type": "application/xml; charset=utf-8",
+      "cache-control": "public, max-age=3600",
+    },
+  });
+
+/**
+ * @title Sitemap
+ * @description sitemap.xml with every blog post and its translations from the translations server, as hreflang alternates.
+ */
+export default function SitemapHandler(
+  { paths = ["/", "/blog"], pageSize = SITEMAP_PAGE_SIZE }: Props,
+  ctx: AppContext,
+) {
+  return async (req: Request) => {
+    const url = new URL(req.url);
+    const languages = ctx.blog?.languages?.length
+      ? ctx.blog.languages
+      : DEFAULT_LANGUAGES;
+    const posts = await getBlogPosts();
+
+    let translations: PostLanguages[] = [];
+    if (ctx.blog?.translationsUrl) {
+      try {
+        translations = await listPostTranslations(ctx.blog.translationsUrl);
+      } catch (err) {
+        // Still list the posts, just without their translations
+        console.error("[sitemap] translation list failed", String(err));
+      }
+    }
+
+    const posted = blogSitemapUrls(url.origin, posts, translations, languages);
+    const urls: SitemapUrl[] = [
+      ...paths.map((path) => ({
+        loc: new URL(path, url.origin).href,
+        lastmod: pageLastmod(posted),
+      })),
+      ...posted,
+    ];
+    const pages = paginateSitemap(urls, Math.max(1, pageSize));
+
+    const page = url.pathname.match(SITEMAP_PAGE_PATTERN)?.[1];
+    if (page) {
+      const urls = pages[Number(page) - 1];
+      return urls ? xml(toUrlset(urls)) : xml(toUrlset([]), 404);
+    }
+    if (pages.length === 1) return xml(toUrlset(pages[0]));
+    return xml(toSitemapIndex(pages.map((urls, i) => ({
+      loc: new URL(sitemapPagePath(i + 1), url.origin).href,
+      lastmod: pageLastmod(urls),
+    }))));
+  };
+}
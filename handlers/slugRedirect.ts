@@ -0,0 +1,27 @@
+import { listRedirects, resolveRedirect } from "site/sdk/redirects.ts";
+
+export interface Props {
+  /** Old slug, as recorded in the redirects registry */
+  from: string;
+}
+
+/**
+ * @title Renamed Post Redirect
+ * @description Permanent redirect from a post's old slug to its current one, at /blog/:slug and /:lang/blog/:slug
+ */
+export default function SlugRedirectHandler({ from }: Props) {
+  return async (req: Request) => {
+    // Resolved per request, so a chain left by a manual edit is one hop
+    const resolved = resolveRedirect(await listRedirects(), from);
+    if (!resolved || resolved.loop) {
+      console.error("[slugRedirect] cannot resolve", { from, resolved });
+      return new Response("Not found", { status: 404 });
+    }
+    const url = new URL(req.url);
+    url.pathname = url.pathname.replace(
+      /[^/]+\/?$/,
+      encodeURIComponent(resolved.slug),
+    );
+    return Response.redirect(url, 301);
+  };
+}
@@ -0,0 +1,142 @@
+import type { BlogPostPage } from "apps/blog/types.ts";
+import type { RequestURLParam } from "apps/website/functions/requestToParam.ts";
+import type { AppContext } from "site/apps/site.ts";
+import {
+  findBlockBySlug,
+  isPreview,
+  postVisibility,
+  toBlogPost,
+} from "site/sdk/blog.ts";
+import { DEFAULT_LANGUAGES, detectLanguage } from "site/sdk/language.ts";
+import {
+  ensureHtml,
+  getPostInLanguage,
+  type TranslationLookup,
+} from "site/sdk/translations.ts";
+
+export interface Props {
+  slug: RequestURLParam;
+  /** @description Language code taken from the URL, e.g. pt or en */
+  lang: RequestURLParam;
+}
+
+export interface PostAlternate {
+  /** Language code, or x-default for the unprefixed /blog/:slug page */
+  language: string;
+  url: string;
+}
+
+export interface LocalizedBlogPostPage extends BlogPostPage {
+  /** Language the post is rendered in */
+  language: string;
+  /** Language asked for in the URL */
+  requestedLanguage: string;
+  originalLanguage: string;
+  isTranslated: boolean;
+  /** The requested language is not available and a fallback (usually the original) is served instead */
+  isFallback: boolean;
+  /** Every language this post can be read in, for hreflang and the language switcher */
+  alternates: PostAlternate[];
+}
+
+/**
+ * @title Localized Blog Post Page
+ * @description Resolves a blog post in the language from the URL, using translations from the D1 `post_translations` table and falling back to the original.
+ */
+export default async function loader(
+  { slug, lang }: Props,
+  req: Request,
+  ctx: AppContext,
+): Promise<LocalizedBlogPostPage | null> {
+  const languages = ctx.blog?.languages?.length
+    ? ctx.blog.languages
+    : DEFAULT_LANGUAGES;
+  const requestedLanguage = lang?.toLowerCase();
+  const entry = slug ? await findBlockBySlug(slug) : null;
+  const hidden = entry && postVisibility(entry.block.post) === "hidden" &&
+    !isPreview(req, ctx.blog?.previewToken?.get?.());
+
+  if (!entry || hidden || !languages.includes(requestedLanguage)) {
+    ctx.response.status = 404;
+    return null;
+  }
+
+  const original = toBlogPost(entry.block);
+  const translationsUrl = ctx.blog?.translationsUrl;
+
+  const lookups = new Map<string, TranslationLookup>();
+  if (translationsUrl) {
+    const fallbacks = ctx.blog?.languageFallbacks ?? [];
+    const results = await Promise.allSettled(
+      languages.map((language) =>
+        getPostInLanguage(
+          translationsUrl,
+          slug,
+          language,
+          fallbacks.find((entry) => entry.language === language)?.fallback,
+        )
+      ),
+    );
+    results.forEach((result, i) => {
+      if (result.status === "fulfilled") {
+        lookups.set(languages[i], result.value);
+      } else {
+        console.error("[LocalizedBlogPostPage] translation lookup failed", {
+          slug,
+          language: languages[i],
+          err: String(result.reason),
+        });
+      }
+    });
+  }
+
+  // The server knows the detected language of the original; ask it first
+  const serverOriginal = [...lookups.values()]
+    .find((lookup) => lookup.post && !lookup.post.isTranslated)?.post?.language;
+  const originalLanguage = serverOriginal ??
+    detectLanguage(original.content, languages[0]);
+
+  // A language served through a fallback is not available in its own right
+  const available = languages.filter((language) => {
+    const post = lookups.get(language)?.post;
+    return language === originalLanguage ||
+      (!!post?.isTranslated && post.language === language);
+  });
+
+  const translation = requestedLanguage !== originalLanguage
+    ? lookups.get(requestedLanguage)?.post
+    : null;
+  const isTranslated = !!translation?.isTranslated;
+
+  const post = isTranslated && translation
+    ? {
+      ...original,
+      title: translation.title,
+      excerpt: translation.excerpt,
+      content: ensureHtml(translation.content),
+    }
+    : original;
+
+  const origin = new URL(req.url).origin;
+  const alternates: PostAlternate[] = [
+    ...available.map((language) => ({
+      language,
+      url: `${origin}/${language}/blog/${slug}`,
+    })),
+    { language: "x-default", url: `${origin}/blog/${slug}` },
+  ];
+
+  return {
+    "@type": "BlogPostPage",
+    post,
+    language: isTranslated && translation
+      ? translation.language
+      : originalLanguage,
+    requestedLanguage,
+    originalLanguage,
+    isTranslated,
+    isFallback: requestedLanguage !== originalLanguage &&
+      translation?.language !== requestedLanguage,
+    alternates,
+  };
+}
@@ -0,0 +1,46 @@
+import type { Route } from "apps/website/flags/audience.ts";
+import { FEED_PATHS, type FeedFormat } from "site/sdk/feeds.ts";
+import { OG_PATH_TEMPLATE } from "site/sdk/ogImage.ts";
+import { listRedirects } from "site/sdk/redirects.ts";
+import { SITEMAP_PAGE_TEMPLATE, SITEMAP_PATH } from "site/sdk/sitemap.ts";
+
+// Slugs go into URL patterns; escape what encodeURIComponent leaves and
+// patterns give a meaning to
+const pathSegment = (slug: string) =>
+  encodeURIComponent(slug).replace(/[*?+(){}]/g, "\\$&");
+
+/**
+ * @title Blog Routes
+ * @description Non-page blog routes: RSS, Atom and JSON feeds, the sitemap, generated share cards and redirects from renamed post slugs.
+ */
+export default async function loader(): Promise<Route[]> {
+  const feeds = (Object.entries(FEED_PATHS) as Array<[FeedFormat, string]>)
+    .map(([format, pathTemplate]) => ({
+      pathTemplate,
+      handler: {
+        value: { __resolveType: "site/handlers/feed.ts", format },
+      },
+    }));
+  const sitemaps = [SITEMAP_PATH, SITEMAP_PAGE_TEMPLATE].map((
+    pathTemplate,
+  ) => ({
+    pathTemplate,
+    handler: { value: { __resolveType: "site/handlers/sitemap.ts" } },
+  }));
+  const cards = {
+    pathTemplate: OG_PATH_TEMPLATE,
+    handler: { value: { __resolveType: "site/handlers/ogImage.ts" } },
+  };
+  // Literal paths win over the /blog/:slug and /:lang/blog/:slug pages
+  const redirects = (await listRedirects()).flatMap(({ from }) =>
+    [`/blog/${pathSegment(from)}`, `/:lang/blog/${pathSegment(from)}`].map((
+      pathTemplate,
+    ) => ({
+      pathTemplate,
+      handler: {
+        value: { __resolveType: "site/handlers/slugRedirect.ts", from },
+      },
+    }))
+  );
+  return [...feeds, ...sitemaps, cards, ...redirects];
+}
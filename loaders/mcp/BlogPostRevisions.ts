@@ -0,0 +1,100 @@
+import type { Operation } from "fast-json-patch";
+import { type BlogBlock, resolveBlockId } from "site/sdk/blog.ts";
+import {
+  blockAt,
+  diffRevisions,
+  lastRevision,
+  type RevisionSource,
+  saveBlogBlock,
+  syncRevisions,
+} from "site/sdk/revisions.ts";
+
+export interface Props {
+  // Same as UpsertBlogPost: the block id is the urn, or else the slug
+  match: {
+    urn?: string;
+    slug?: string;
+  };
+  // list: every revision, newest first
+  // diff: JSON Patch from revision `from` (0: nothing) to `to` (default: latest)
+  // restore: writes the block as it was at `revision`, as a new revision
+  action: "list" | "diff" | "restore";
+  from?: number;
+  to?: number;
+  revision?: number;
+  // Recorded with a restore; defaults to "mcp"
+  source?: RevisionSource;
+  // As in UpsertBlogPost: the restore is rejected with a "stale" error
+  // unless the post is still at this revision
+  expectedRevision?: number;
+}
+
+export interface RevisionSummary {
+  id: number;
+  at: string;
+  source: RevisionSource;
+  note?: string;
+  // Changed paths, e.g. ["/post/title", "/post/content"]
+  paths: string[];
+}
+
+export type Result =
+  | { action: "list"; post: string; revisions: RevisionSummary[] }
+  | {
+    action: "diff";
+    post: string;
+    from: number;
+    to: number;
+    patch: Operation[];
+  }
+  | { action: "restore"; post: string; revision: number; block: BlogBlock };
+
+export default async function loader(props: Props): Promise<Result> {
+  const id = await resolveBlockId(props.match);
+  if (!id) throw new Error("Provide urn or slug");
+  // Edits made in the admin since the last save show up as a revision
+  const log = await syncRevisions(id);
+
+  if (props.action === "list") {
+    return {
+      action: "list",
+      post: id,
+      revisions: log.revisions.map(({ patch, ...revision }) => ({
+        ...revision,
+        paths: [...new Set(patch.map((op) => op.path))],
+      })).reverse(),
+    };
+  }
+
+  const latest = lastRevision(log);
+  if (!latest) throw new Error(`Post ${id} has no revisions yet`);
+
+  if (props.action === "diff") {
+    const to = props.to ?? latest;
+    // Without `from`, the change made by `to` itself (from nothing, for 1)
+    const from = props.from ?? to - 1;
+    return {
+      action: "diff",
+      post: id,
+      from,
+      to,
+      patch: diffRevisions(log, from, to),
+    };
+  }
+
+  if (props.revision === undefined) throw new Error("Provide revision");
+  const block = blockAt(log, props.revision);
+  // Checked like any write: the slug must be free, and a changed slug
+  // leaves a redirect behind
+  const saved = await saveBlogBlock(id, block, {
+    source: props.source ?? "mcp",
+    note: `restore #${props.revision}`,
+    expectedRevision: props.expectedRevision,
+  });
+  console.log("[BlogPostRevisions] restored", {
+    post: id,
+    revision: props.revision,
+    as: saved,
+  });
+  return { action: "restore", post: id, revision: props.revision, block };
+}
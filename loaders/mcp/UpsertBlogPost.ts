@@ -1,23 +1,19 @@
-export interface Author {
-  name: string;
-  email?: string;
-}
-
-export interface Category {
-  name: string;
-  slug: string;
-}
-
-export interface UpdateFields {
-  title?: string;
-  excerpt?: string;
-  content?: string; // rich-text HTML
-  date?: string; // YYYY-MM-DD
-  slug?: string; // optional slug override
-  image?: string; // optional image URL
-  authors?: Author[];
-  categories?: Category[];
-}
+import type { AppContext } from "site/apps/site.ts";
+import {
+  applyUpdate,
+  type Author,
+  blockFilePath,
+  type BlogBlock,
+  type Category,
+  resolveBlockId,
+  type UpdateFields,
+} from "site/sdk/blog.ts";
+import { parseMarkdownPost } from "site/sdk/markdown.ts";
+import { UpsertError, validateUpdate } from "site/sdk/postSchema.ts";
+import { type RevisionSource, saveBlogBlock } from "site/sdk/revisions.ts";
+import { sanitizePostHtml } from "site/sdk/sanitize.ts";
+
+export type { Author, Category, UpdateFields };
 
 export interface Props {
   // How to locate the post block on disk
@@ -26,122 +22,104 @@ export interface Props {
     slug?: string; // fallback: search by post.slug
   };
   // Partial fields to update
-  update: UpdateFields;
+  update?: UpdateFields;
+  // Markdown source with optional YAML frontmatter (title, excerpt, date,
+  // categories, image, status, publishAt); fields in `update` take
+  // precedence over it
+  markdown?: string;
+  // Recorded in the post's revision history (see BlogPostRevisions);
+  // defaults to "mcp"
+  source?: RevisionSource;
+  // Works as an ETag: the write is rejected with a "stale" error unless the
+  // post is still at this revision (the `revision` of the last response).
+  // 0 only creates the post if it does not exist yet.
+  expectedRevision?: number;
 }
 
-type BlogBlock = {
-  name: string;
-  __resolveType: string;
-  post: {
-    authors?: Author[];
-    content?: string;
-    slug: string;
-    date?: string;
-    title?: string;
-    image?: string;
-    categories?: Category[];
-    excerpt?: string;
-    interactionStatistic?: { "@type": string; userInteractionCount?: number };
-  };
+export type Result = BlogBlock & {
+  // Revision of the post after this write
+  revision: number;
 };
 
-async function readJsonPath<T>(path: string): Promise<T> {
-  const text = await Deno.readTextFile(path);
-  return JSON.parse(text) as T;
-}
-
-async function writeJsonPath(path: string, data: unknown): Promise<void> {
-  const dir = path.replace(/\/?[^/]*$/, "/");
-  await Deno.mkdir(dir, { recursive: true }).catch(() => {});
-  await Deno.writeTextFile(path, JSON.stringify(data, null, 2));
-}
-
-function blocksDirPath(): string {
-  // Absolute dir path; files are flat with %2F in names
-  return `${Deno.cwd().replace(/\\/g, "/")}/.deco/blocks/`;
-}
-
-const BLOG_PREFIX_ENC = encodeURIComponent("collections/blog/posts/"); // collections%2Fblog%2Fposts%2F
-
-async function findBlockBySlug(slug: string): Promise<string | null> {
-  const dirPath = blocksDirPath();
-  for await (const entry of Deno.readDir(dirPath)) {
-    if (!entry.isFile || !entry.name.endsWith(".json")) continue;
-    if (!entry.name.startsWith(BLOG_PREFIX_ENC)) continue;
-    const filePath = dirPath + entry.name;
-    try {
-      const block = await readJsonPath<BlogBlock>(filePath);
-      if (block?.post?.slug === slug) return filePath;
-    } catch (_) {
-      // ignore malformed files
-    }
-  }
-  return null;
-}
-
-function toPath(u: URL): string {
-  return decodeURIComponent(u.pathname);
-}
-
-export default async function loader(props: Props): Promise<BlogBlock> {
-  const { match, update } = props;
-  const base = blocksDirPath();
-  console.log("[UpsertBlogPost] start", { cwd: Deno.cwd(), match, update, dir: base });
-
-  let filePath: string | null = null;
-  if (match.urn) {
-    filePath = base + BLOG_PREFIX_ENC + encodeURIComponent(match.urn) + ".json";
-  }
-  if (!filePath && match.slug) {
-    filePath = base + BLOG_PREFIX_ENC + encodeURIComponent(match.slug) + ".json";
+/**
+ * Throws an UpsertError ("invalid", "stale" or "slug_taken") before anything
+ * is written when the update cannot be applied as given.
+ */
+export default async function loader(
+  props: Props,
+  _req: Request,
+  ctx: AppContext,
+): Promise<Result> {
+  const { match } = props;
+  if (!props.update && props.markdown === undefined) {
+    throw new UpsertError("invalid", "Provide update or markdown");
   }
+  const issues = validateUpdate(props.update ?? {});
+  const fields: UpdateFields = {
+    ...(props.markdown !== undefined
+      ? parseMarkdownPost(props.markdown).fields
+      : {}),
+    ...props.update,
+  };
+  // Fields from the frontmatter are only known after parsing
+  if (!issues.length) issues.push(...validateUpdate(fields));
+  if (issues.length) throw new UpsertError("invalid", "Invalid update", issues);
 
-  if (!filePath) {
+  const id = await resolveBlockId(match);
+  if (!id) {
     console.error("[UpsertBlogPost] no match provided");
-    throw new Error("Provide urn or slug");
+    throw new UpsertError("invalid", "Provide urn or slug");
   }
-
-  console.log("[UpsertBlogPost] resolved path", { file: filePath });
-  let existing: BlogBlock | null = null;
-  try {
-    existing = await readJsonPath<BlogBlock>(filePath);
-    console.log("[UpsertBlogPost] existing file loaded", { file: filePath });
-  } catch (err) {
-    console.log("[UpsertBlogPost] creating new file", { file: filePath, err: String(err) });
-    const baseId = match.urn ?? match.slug ?? crypto.randomUUID();
-    existing = {
-      name: `collections/blog/posts/${baseId}`,
+  // Content ends up in dangerouslySetInnerHTML: clean it before it is stored
+  const update = fields.content === undefined ? fields : {
+    ...fields,
+    content: sanitizePostHtml(fields.content, `UpsertBlogPost ${id}`),
+  };
+  const filePath = blockFilePath(id);
+  console.log("[UpsertBlogPost] start", { match, id, file: filePath, update });
+
+  let block: BlogBlock | null = null;
+  // The post is read in the write, so no other write to it can land in
+  // between; the write also checks the slug and records a rename
+  const revision = await saveBlogBlock(id, (existing) => {
+    console.log(
+      existing
+        ? "[UpsertBlogPost] existing file loaded"
+        : "[UpsertBlogPost] creating new file",
+      { file: filePath },
+    );
+    const authors = update.authors ?? ctx.blog?.defaultAuthors ?? [];
+    if (!existing && !authors.length) {
+      throw new UpsertError("invalid", "Invalid update", [{
+        field: "authors",
+        message: "is required for a new post (no default authors configured)",
+      }]);
+    }
+    // Merge updates into block.post
+    const next: BlogBlock = existing ?? {
+      name: `collections/blog/posts/${id}`,
       __resolveType: "blog/loaders/Blogpost.ts",
       post: {
-        authors: update.authors ?? [{ name: "Guilherme Rodrigues", email: "" }],
-        content: update.content ?? "",
-        slug: update.slug ?? String(baseId),
-        date: update.date ?? new Date().toISOString().slice(0, 10),
-        title: update.title ?? "",
-        image: update.image,
-        categories: update.categories ?? [{ name: "LinkedIn", slug: "linkedin" }],
-        excerpt: update.excerpt ?? "",
+        authors,
+        content: "",
+        slug: id,
+        date: new Date().toISOString().slice(0, 10),
+        title: "",
+        excerpt: "",
+        categories: ctx.blog?.defaultCategories ?? [],
       },
     };
-  }
-
-  // Merge updates into block.post
-  const block = existing!;
-  block.post = {
-    ...block.post,
-    ...(update.title !== undefined ? { title: update.title } : {}),
-    ...(update.excerpt !== undefined ? { excerpt: update.excerpt } : {}),
-    ...(update.content !== undefined ? { content: update.content } : {}),
-    ...(update.date !== undefined ? { date: update.date } : {}),
-    ...(update.slug !== undefined ? { slug: update.slug } : {}),
-    ...(update.image !== undefined ? { image: update.image } : {}),
-    ...(update.authors !== undefined ? { authors: update.authors } : {}),
-    ...(update.categories !== undefined ? { categories: update.categories } : {}),
-  };
-
-  await writeJsonPath(filePath, block);
-  console.log("[UpsertBlogPost] updated", { file: filePath, applied: update });
-  return block;
+    next.post = applyUpdate(next.post, update);
+    block = next;
+    return next;
+  }, {
+    source: props.source ?? "mcp",
+    expectedRevision: props.expectedRevision,
+  });
+  console.log("[UpsertBlogPost] updated", {
+    file: filePath,
+    applied: update,
+    revision,
+  });
+  return { ...block!, revision };
 }
-
-
@@ -5,35 +5,55 @@
 import * as $$$$$$$$$$$0 from "./apps/deco/blog.ts";
 import * as $$$$$$$$$$$1 from "./apps/deco/htmx.ts";
 import * as $$$$$$$$$$$2 from "./apps/site.ts";
-import * as $$$0 from "./loaders/mcp/UpsertBlogPost.ts";
+import * as $$$$$$$$0 from "./handlers/feed.ts";
+import * as $$$$$$$$1 from "./handlers/ogImage.ts";
+import * as $$$$$$$$2 from "./handlers/sitemap.ts";
+import * as $$$$$$$$3 from "./handlers/slugRedirect.ts";
+import * as $$$0 from "./loaders/blog/LocalizedBlogPostPage.ts";
+import * as $$$1 from "./loaders/blog/routes.ts";
+import * as $$$2 from "./loaders/mcp/BlogPostRevisions.ts";
+import * as $$$3 from "./loaders/mcp/UpsertBlogPost.ts";
 import * as $$$$$$0 from "./sections/BlogPost.tsx";
 import * as $$$$$$1 from "./sections/BlogPosts.tsx";
-import * as $$$$$$2 from "./sections/Faq.tsx";
-import * as $$$$$$3 from "./sections/Footer.tsx";
-import * as $$$$$$4 from "./sections/Header.tsx";
-import * as $$$$$$5 from "./sections/Hero.tsx";
-import * as $$$$$$6 from "./sections/ImageWithParagraph.tsx";
-import * as $$$$$$7 from "./sections/Logos.tsx";
-import * as $$$$$$8 from "./sections/MainPost.tsx";
-import * as $$$$$$9 from "./sections/Testimonials.tsx";
-import * as $$$$$$10 from "./sections/Theme/Theme.tsx";
+import * as $$$$$$2 from "./sections/BlogSearch.tsx";
+import * as $$$$$$3 from "./sections/Faq.tsx";
+import * as $$$$$$4 from "./sections/Footer.tsx";
+import * as $$$$$$5 from "./sections/Header.tsx";
+import * as $$$$$$6 from "./sections/Hero.tsx";
+import * as $$$$$$7 from "./sections/ImageWithParagraph.tsx";
+import * as $$$$$$8 from "./sections/Logos.tsx";
+import * as $$$$$$9 from "./sections/MainPost.tsx";
+import * as $$$$$$10 from "./sections/RelatedPosts.tsx";
+import * as $$$$$$11 from "./sections/Testimonials.tsx";
+import * as $$$$$$12 from "./sections/Theme/Theme.tsx";
 
 const manifest = {
   "loaders": {
-    "site/loaders/mcp/UpsertBlogPost.ts": $$$0,
+    "site/loaders/blog/LocalizedBlogPostPage.ts": $$$0,
+    "site/loaders/blog/routes.ts": $$$1,
+    "site/loaders/mcp/BlogPostRevisions.ts": $$$2,
+    "site/loaders/mcp/UpsertBlogPost.ts": $$$3,
+  },
+  "handlers": {
+    "site/handlers/feed.ts": $$$$$$$$0,
+    "site/handlers/ogImage.ts": $$$$$$$$1,
+    "site/handlers/sitemap.ts": $$$$$$$$2,
+    "site/handlers/slugRedirect.ts": $$$$$$$$3,
   },
   "sections": {
     "site/sections/BlogPost.tsx": $$$$$$0,
     "site/sections/BlogPosts.tsx": $$$$$$1,
-    "site/sections/Faq.tsx": $$$$$$2,
-    "site/sections/Footer.tsx": $$$$$$3,
-    "site/sections/Header.tsx": $$$$$$4,
-    "site/sections/Hero.tsx": $$$$$$5,
-    "site/sections/ImageWithParagraph.tsx": $$$$$$6,
-    "site/sections/Logos.tsx": $$$$$$7,
-    "site/sections/MainPost.tsx": $$$$$$8,
-    "site/sections/Testimonials.tsx": $$$$$$9,
-    "site/sections/Theme/Theme.tsx": $$$$$$10,
+    "site/sections/BlogSearch.tsx": $$$$$$2,
+    "site/sections/Faq.tsx": $$$$$$3,
+    "site/sections/Footer.tsx": $$$$$$4,
+    "site/sections/Header.tsx": $$$$$$5,
+    "site/sections/Hero.tsx": $$$$$$6,
+    "site/sections/ImageWithParagraph.tsx": $$$$$$7,
+    "site/sections/Logos.tsx": $$$$$$8,
+    "site/sections/MainPost.tsx": $$$$$$9,
+    "site/sections/RelatedPosts.tsx": $$$$$$10,
+    "site/sections/Testimonials.tsx": $$$$$$11,
+    "site/sections/Theme/Theme.tsx": $$$$$$12,
   },
   "apps": {
     "site/apps/deco/blog.ts": $$$$$$$$$$$0,
@@ -0,0 +1,276 @@
+// deno run -A scripts/check_feeds.ts
+// Builds the RSS, Atom and JSON feeds from the blog posts on disk (all posts,
+// one category and one language) and checks each against the fields its spec
+// requires:
+// - RSS 2.0: https://www.rssboard.org/rss-specification
+// - Atom 1.0: https://www.rfc-editor.org/rfc/rfc4287
+// - JSON Feed 1.1: https://www.jsonfeed.org/version/1.1/
+
+import { XMLParser, XMLValidator } from "fast-xml-parser";
+import type { BlogPost } from "apps/blog/types.ts";
+import { getBlogPosts } from "../sdk/blog.ts";
+import {
+  type FeedFormat,
+  type FeedInfo,
+  toAtom,
+  toJsonFeed,
+  toRss,
+} from "../sdk/feeds.ts";
+import {
+  filterPosts,
+  postFacets,
+  type PostFilters,
+} from "../sdk/postFilters.ts";
+import { sanitizeHtml } from "../sdk/sanitize.ts";
+
+type Problems = string[];
+
+// Feeds carry the sanitized post HTML
+const expectedContent = (post: BlogPost) =>
+  sanitizeHtml(post.content ?? "").html;
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@",
+  parseTagValue: false,
+  isArray: (name, jpath) =>
+    ["item", "entry", "author", "category"].includes(name) ||
+    (name === "link" && String(jpath).startsWith("feed.")),
+});
+
+const RFC3339 =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+// e.g. "Tue, 10 Jun 2003 04:00:00 GMT"
+const RFC822 =
+  /^[A-Z][a-z]{2}, \d{2} [A-Z][a-z]{2} \d{4} \d{2}:\d{2}:\d{2} GMT$/;
+
+const isAbsoluteUrl = (value: unknown) => {
+  try {
+    return typeof value === "string" && !!new URL(value).protocol;
+  } catch (_) {
+    return false;
+  }
+};
+
+const text = (node: unknown): string =>
+  typeof node === "object" && node !== null
+    ? String((node as Record<string, unknown>)["#text"] ?? "")
+    : String(node ?? "");
+
+function parseXml(xml: string, problems: Problems) {
+  const valid = XMLValidator.validate(xml);
+  if (valid !== true) {
+    problems.push(
+      `not well-formed XML: ${valid.err.msg} (line ${valid.err.line})`,
+    );
+    return null;
+  }
+  return parser.parse(xml);
+}
+
+function checkRss(xml: string, posts: BlogPost[]): Problems {
+  const problems: Problems = [];
+  const doc = parseXml(xml, problems);
+  if (!doc) return problems;
+
+  const rss = doc.rss;
+  if (rss?.["@version"] !== "2.0") problems.push("rss@version must be 2.0");
+  const channel = rss?.channel;
+  for (const field of ["title", "link", "description"]) {
+    if (channel?.[field] === undefined) {
+      problems.push(`channel.${field} is required`);
+    }
+  }
+  if (!isAbsoluteUrl(channel?.link)) {
+    problems.push("channel.link must be a URL");
+  }
+
+  const items = channel?.item ?? [];
+  if (items.length !== posts.length) {
+    problems.push(`expected ${posts.length} items, got ${items.length}`);
+  }
+  items.forEach((item: Record<string, unknown>, i: number) => {
+    if (!text(item.title) && !text(item.description)) {
+      problems.push(`item ${i}: title or description is required`);
+    }
+    if (!isAbsoluteUrl(item.link)) {
+      problems.push(`item ${i}: link must be a URL`);
+    }
+    if (!text(item.guid)) problems.push(`item ${i}: guid is missing`);
+    if (!RFC822.test(text(item.pubDate))) {
+      problems.push(`item ${i}: pubDate must be RFC 822, got ${item.pubDate}`);
+    }
+    if (text(item["content:encoded"]) !== expectedContent(posts[i])) {
+      problems.push(`item ${i}: content:encoded does not round-trip`);
+    }
+    if (!item["dc:creator"]) problems.push(`item ${i}: author is missing`);
+  });
+  return problems;
+}
+
+function checkAtom(xml: string, posts: BlogPost[]): Problems {
+  const problems: Problems = [];
+  const doc = parseXml(xml, problems);
+  if (!doc) return problems;
+
+  const feed = doc.feed;
+  if (feed?.["@xmlns"] !== "http://www.w3.org/2005/Atom") {
+    problems.push("feed must be in the Atom namespace");
+  }
+  for (const field of ["id", "title", "updated"]) {
+    if (!text(feed?.[field])) problems.push(`feed.${field} is required`);
+  }
+  if (!RFC3339.test(text(feed?.updated))) {
+    problems.push("feed.updated must be RFC 3339");
+  }
+  const links = feed?.link ?? [];
+  if (!links.some((link: Record<string, string>) => link["@rel"] === "self")) {
+    problems.push("feed should have a rel=self link");
+  }
+
+  const entries = feed?.entry ?? [];
+  if (entries.length !== posts.length) {
+    problems.push(`expected ${posts.length} entries, got ${entries.length}`);
+  }
+  entries.forEach((entry: Record<string, unknown>, i: number) => {
+    for (const field of ["id", "title", "updated"]) {
+      if (!text(entry[field])) {
+        problems.push(`entry ${i}: ${field} is required`);
+      }
+    }
+    if (!RFC3339.test(text(entry.updated))) {
+      problems.push(`entry ${i}: updated must be RFC 3339`);
+    }
+    if (!feed?.author && !(entry.author as unknown[] | undefined)?.length) {
+      problems.push(`entry ${i}: author is required when the feed has none`);
+    }
+    const alternate = (entry.link as Array<Record<string, string>> ?? [])
+      .find((link) => link["@rel"] === "alternate");
+    if (!isAbsoluteUrl(alternate?.["@href"])) {
+      problems.push(`entry ${i}: alternate link is required`);
+    }
+    if (text(entry.content) !== expectedContent(posts[i])) {
+      problems.push(`entry ${i}: content does not round-trip`);
+    }
+  });
+  return problems;
+}
+
+function checkJsonFeed(json: string, posts: BlogPost[]): Problems {
+  const problems: Problems = [];
+  let feed: Record<string, unknown>;
+  try {
+    feed = JSON.parse(json);
+  } catch (err) {
+    return [`invalid JSON: ${err}`];
+  }
+
+  if (feed.version !== "https://jsonfeed.org/version/1.1") {
+    problems.push("version must be https://jsonfeed.org/version/1.1");
+  }
+  if (typeof feed.title !== "string" || !feed.title) {
+    problems.push("title is required");
+  }
+  for (const field of ["home_page_url", "feed_url"]) {
+    if (feed[field] !== undefined && !isAbsoluteUrl(feed[field])) {
+      problems.push(`${field} must be a URL`);
+    }
+  }
+  const items = feed.items as Array<Record<string, unknown>>;
+  if (!Array.isArray(items)) return [...problems, "items is required"];
+  if (items.length !== posts.length) {
+    problems.push(`expected ${posts.length} items, got ${items.length}`);
+  }
+  items.forEach((item, i) => {
+    if (typeof item.id !== "string" || !item.id) {
+      problems.push(`item ${i}: id is required`);
+    }
+    if (
+      typeof item.content_html !== "string" &&
+      typeof item.content_text !== "string"
+    ) {
+      problems.push(`item ${i}: content_html or content_text is required`);
+    }
+    if (item.content_html !== expectedContent(posts[i])) {
+      problems.push(`item ${i}: content_html does not round-trip`);
+    }
+    if (item.date_published && !RFC3339.test(String(item.date_published))) {
+      problems.push(`item ${i}: date_published must be RFC 3339`);
+    }
+    if (!Array.isArray(item.authors) || !item.authors.length) {
+      problems.push(`item ${i}: authors is missing`);
+    }
+  });
+  return problems;
+}
+
+const CHECKS: Record<
+  FeedFormat,
+  [typeof toRss, (output: string, posts: BlogPost[]) => Problems]
+> = {
+  rss: [toRss, checkRss],
+  atom: [toAtom, checkAtom],
+  json: [toJsonFeed, checkJsonFeed],
+};
+
+// Markup that has to be escaped or wrapped correctly in every format
+const HOSTILE_POST = {
+  slug: "hostile",
+  title: `Tom & Jerry <script>alert("x")</script>`,
+  excerpt: `5 > 3 && "quotes" 'too'`,
+  content: `<p>CDATA end ]]> inside, &amp; entities &lt;b&gt;</p>`,
+  date: "2024-02-29",
+  authors: [{ name: "A & B", email: "" }],
+  categories: [{ name: "C<D", slug: "c-d" }],
+} as unknown as BlogPost;
+
+async function main() {
+  const posts = await getBlogPosts();
+  const facets = postFacets(posts);
+  const variants: Array<[string, BlogPost[]]> = [
+    ["all posts", posts],
+    ["hostile post", [HOSTILE_POST]],
+    ["no posts", []],
+  ];
+  const category = facets.categories[0]?.value;
+  const lang = facets.languages[0]?.value;
+  for (const filters of [{ category }, { lang }] as PostFilters[]) {
+    if (Object.values(filters)[0]) {
+      variants.push([JSON.stringify(filters), filterPosts(posts, filters)]);
+    }
+  }
+
+  let failed = 0;
+  for (const [name, selected] of variants) {
+    const info: FeedInfo = {
+      title: "vibegui.com",
+      description: "Check feed",
+      siteUrl: "https://vibegui.com",
+      feedUrl: "https://vibegui.com/feed.xml",
+      homeUrl: "https://vibegui.com/blog",
+      language: "pt",
+      author: "Guilherme Rodrigues",
+    };
+    for (const [format, [build, check]] of Object.entries(CHECKS)) {
+      const problems = check(build(info, selected), selected);
+      if (problems.length) {
+        failed++;
+        console.log(`FAIL ${format} (${name})`);
+        for (const problem of problems.slice(0, 10)) {
+          console.log(`  - ${problem}`);
+        }
+      } else {
+        console.log(`ok   ${format} (${name}, ${selected.length} posts)`);
+      }
+    }
+  }
+
+  if (failed) {
+    console.error(`${failed} feed checks failed`);
+    Deno.exit(1);
+  }
+}
+
+if (import.meta.main) {
+  await main();
+}
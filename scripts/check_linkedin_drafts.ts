@@ -0,0 +1,56 @@
+// deno run -A scripts/check_linkedin_drafts.ts
+// Checks that the blocks scripts/sync_linkedin.ts and scripts/make_top_posts.ts
+// create for new LinkedIn posts, which have no title yet, are drafts: kept
+// out of BlogPosts, the feeds and the sitemap until someone writes a title.
+
+import { postVisibility } from "../sdk/blog.ts";
+import type { LinkedInPost } from "./lib/linkedin.ts";
+import { linkedInTextToHtml } from "./lib/linkedin_html.ts";
+import { newBlock } from "./sync_linkedin.ts";
+
+const POST: LinkedInPost = {
+  urn: "7000000000000000000",
+  posted_at: { date: "2025-01-02 10:00:00" },
+  text: "Shipping on a Sunday.\n\n#deco #AI",
+  post_type: "regular",
+  author: { username: "vibegui" },
+  stats: { total_reactions: 42 },
+};
+
+function main() {
+  const { html, hashtags } = linkedInTextToHtml(POST.text);
+  const cases = {
+    "text only": newBlock(POST, html, hashtags, { images: [], missing: [] }),
+    "with a cover": newBlock(POST, html, hashtags, {
+      cover: "/blog-media/cover.png",
+      images: ["/blog-media/cover.png"],
+      missing: [],
+    }),
+  };
+
+  let failed = 0;
+  for (const [name, { post }] of Object.entries(cases)) {
+    const problems = [
+      ...(post.title ? [`has a title: ${post.title}`] : []),
+      ...(post.status !== "draft"
+        ? [`status is ${post.status ?? "unset"}`]
+        : []),
+      ...(postVisibility(post) !== "hidden" ? ["is listed"] : []),
+    ];
+    if (problems.length === 0) {
+      console.log(`ok   ${name}`);
+    } else {
+      failed++;
+      console.log(`FAIL ${name}: ${problems.join(", ")}`);
+    }
+  }
+
+  if (failed) {
+    console.error(`${failed} untitled LinkedIn posts are not drafts`);
+    Deno.exit(1);
+  }
+}
+
+if (import.meta.main) {
+  main();
+}
@@ -0,0 +1,52 @@
+// deno run -A scripts/check_linkedin_html.ts [--update]
+// Golden-file check for scripts/lib/linkedin_html.ts. Each fixture under
+// scripts/fixtures/linkedin_html is a LinkedIn post text (<name>.txt) and the
+// HTML it must convert to (<name>.html). Most fixtures are real posts taken
+// from the blog; --update rewrites the .html files after an intended change.
+
+import { linkedInTextToHtml } from "./lib/linkedin_html.ts";
+
+const FIXTURES_DIR = "scripts/fixtures/linkedin_html";
+
+async function main() {
+  const update = Deno.args.includes("--update");
+  const names: string[] = [];
+  for await (const entry of Deno.readDir(FIXTURES_DIR)) {
+    if (entry.isFile && entry.name.endsWith(".txt")) {
+      names.push(entry.name.slice(0, -".txt".length));
+    }
+  }
+
+  let failed = 0;
+  for (const name of names.sort()) {
+    const text = await Deno.readTextFile(`${FIXTURES_DIR}/${name}.txt`);
+    const { html } = linkedInTextToHtml(text);
+    // one block per line keeps the golden files diffable
+    const actual = html.replace(/(<\/(?:p|ul|ol)>)/g, "$1\n");
+    const goldenPath = `${FIXTURES_DIR}/${name}.html`;
+
+    if (update) {
+      await Deno.writeTextFile(goldenPath, actual);
+      console.log(`updated ${name}`);
+      continue;
+    }
+
+    const expected = await Deno.readTextFile(goldenPath).catch(() => null);
+    if (expected === actual) {
+      console.log(`ok   ${name}`);
+    } else {
+      failed++;
+      console.log(`FAIL ${name}`);
+      console.log(expected === null ? "  missing golden file" : actual);
+    }
+  }
+
+  if (failed) {
+    console.error(`${failed} of ${names.length} fixtures differ`);
+    Deno.exit(1);
+  }
+}
+
+if (import.meta.main) {
+  await main();
+}
@@ -0,0 +1,56 @@
+// deno run -A scripts/check_redirects.ts
+// Checks the slug redirects registry (.deco/redirects.json, see
+// sdk/redirects.ts) against the blog posts on disk and reports:
+// - loops: a -> b -> a, served as 404
+// - chains: a -> b -> c, served in one hop but worth flattening
+// - dead ends: redirects that end on a slug no post has
+// - shadowed posts: a post living at a redirected slug, which the redirect
+//   hides since its literal route wins over /blog/:slug. Saving a post
+//   drops such a redirect, so one here was written around saveBlogBlock
+// Every problem fails the check.
+
+import { listBlogBlocks } from "../sdk/blog.ts";
+import { listRedirects, resolveRedirect } from "../sdk/redirects.ts";
+
+async function main() {
+  const redirects = await listRedirects();
+  const slugs = new Set(
+    (await listBlogBlocks()).map((entry) => entry.block.post.slug),
+  );
+
+  let failed = 0;
+  const report = (kind: string, detail: string) => {
+    failed++;
+    console.log(`${kind.padEnd(8)} ${detail}`);
+  };
+
+  for (const { from } of redirects) {
+    const resolved = resolveRedirect(redirects, from)!;
+    const path = [from, ...resolved.hops].join(" -> ");
+    if (resolved.loop) {
+      report("loop", `${path} -> ${resolved.slug}`);
+      continue;
+    }
+    if (resolved.hops.length > 1) report("chain", path);
+    if (!slugs.has(resolved.slug)) report("dead end", path);
+    if (slugs.has(from)) {
+      report("shadows", `post ${from} (-> ${resolved.slug})`);
+    }
+  }
+
+  const sources = redirects.map((redirect) => redirect.from);
+  for (const from of new Set(sources)) {
+    const count = sources.filter((other) => other === from).length;
+    if (count > 1) report("twice", `${from} is redirected ${count} times`);
+  }
+
+  if (failed) {
+    console.error(`${failed} problems in ${redirects.length} redirects`);
+    Deno.exit(1);
+  }
+  console.log(`${redirects.length} redirects ok`);
+}
+
+if (import.meta.main) {
+  await main();
+}
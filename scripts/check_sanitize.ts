@@ -0,0 +1,104 @@
+// deno run -A scripts/check_sanitize.ts
+// Runs sdk/sanitize.ts over the hostile corpus in
+// scripts/fixtures/sanitize/hostile.txt (one payload per line) and checks
+// that nothing active survives: every tag left is on the allowlist, no event
+// handler or inline style remains, every URL is safe, and sanitizing twice
+// changes nothing. Then checks that the markup the post styles cover, and
+// the blog posts on disk, come through unchanged.
+
+import { getBlogPosts } from "../sdk/blog.ts";
+import { isSafeUrl, sanitizeHtml } from "../sdk/sanitize.ts";
+
+const CORPUS = "scripts/fixtures/sanitize/hostile.txt";
+
+// The policy, restated: what sanitized HTML may contain
+const TAGS = new Set(
+  "p br hr div span strong b em i u s del ins mark small sub sup kbd a h1 h2 h3 h4 h5 h6 ul ol li blockquote pre code img figure figcaption table thead tbody tr th td"
+    .split(" "),
+);
+const TAG = /<(\/?)([a-z0-9]+)((?: [a-z-]+(?:="[^"<>]*")?)*)>/y;
+const ATTR = / ([a-z-]+)(?:="([^"]*)")?/g;
+
+function problems(html: string): string[] {
+  const found: string[] = [];
+  for (let at = html.indexOf("<"); at >= 0; at = html.indexOf("<", at + 1)) {
+    TAG.lastIndex = at;
+    const match = TAG.exec(html);
+    if (!match) {
+      found.push(`bare "<" at ${at}`);
+      continue;
+    }
+    const [, , tag, attrs] = match;
+    if (!TAGS.has(tag)) found.push(`tag <${tag}>`);
+    for (const [, name, value] of attrs.matchAll(ATTR)) {
+      if (name.startsWith("on") || name === "style") {
+        found.push(`${name} on <${tag}>`);
+      }
+      if (
+        ["href", "src", "cite"].includes(name) && !isSafeUrl(value ?? "", name)
+      ) {
+        found.push(`${name}="${value}"`);
+      }
+    }
+  }
+  return found;
+}
+
+// Markup the post styles cover must come through untouched
+const KEPT = [
+  '<h2 id="intro">Intro</h2><p>Text with <strong>bold</strong>, <em>italic</em> and <code>code</code>.</p>',
+  '<pre><code class="language-ts">const a = 1 &lt; 2;</code></pre>',
+  "<blockquote>“Quoted” text</blockquote>",
+  '<img src="https://example.com/a.png" alt="A picture">',
+  '<figure data-gallery><img src="https://example.com/a.png" alt=""><img src="/b.png" alt=""></figure>',
+  '<ul data-bullets="emoji"><li>🚀 one</li><li>✅ two</li></ul><ol start="3"><li>three</li></ol>',
+  '<p><a href="https://example.com/?a=1&amp;b=2">link</a> <a href="mailto:me@example.com">mail</a> <a href="#intro">anchor</a></p>',
+  '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer">new tab</a></p>',
+  "<p>1 &lt; 2 &amp;&amp; 3 &gt; 2</p><br><hr>",
+];
+
+async function main() {
+  let failed = 0;
+  const fail = (label: string, detail: string) => {
+    failed++;
+    console.log(`FAIL ${label}\n  ${detail}`);
+  };
+
+  const corpus = (await Deno.readTextFile(CORPUS)).split("\n")
+    .filter((line) => line.trim() && !line.startsWith("#"));
+  for (const [n, input] of corpus.entries()) {
+    const { html, removed } = sanitizeHtml(input);
+    const label = `hostile #${n + 1}`;
+    const found = problems(html);
+    if (found.length) fail(label, `${input}\n  -> ${html}\n  ${found}`);
+    else if (sanitizeHtml(html).html !== html) {
+      fail(label, `not idempotent: ${html}`);
+    } else {
+      // Some payloads are only escaped, which removes nothing
+      console.log(`ok   ${label} (${removed.join(", ") || "escaped"})`);
+    }
+  }
+
+  for (const input of KEPT) {
+    const { html, removed } = sanitizeHtml(input);
+    if (html !== input || removed.length) {
+      fail("kept", `${input}\n  -> ${html}\n  ${removed}`);
+    } else console.log(`ok   kept ${input.slice(0, 50)}`);
+  }
+
+  // Nothing in the published posts should be removed
+  for (const post of await getBlogPosts()) {
+    const { removed } = sanitizeHtml(post.content ?? "");
+    if (removed.length) fail(`post ${post.slug}`, removed.join(", "));
+  }
+
+  if (failed) {
+    console.error(`${failed} checks failed`);
+    Deno.exit(1);
+  }
+  console.log("all checks passed");
+}
+
+if (import.meta.main) {
+  await main();
+}
@@ -0,0 +1,136 @@
+// deno run -A scripts/import_markdown.ts <dir> [--dry-run] [--author "Full Name"]
+// Imports a folder of Markdown posts (*.md with YAML frontmatter, see
+// sdk/markdown.ts) as blog blocks. The post is the one with the frontmatter
+// slug, or the file name without .md (a new block gets it as its id), so
+// re-running updates the same blocks (a file whose post was renamed since
+// is skipped, with a warning); fields are merged with the same
+// semantics as loaders/mcp/UpsertBlogPost.ts and only the fields present in
+// the file are touched. Files are checked the same way too: invalid fields
+// or a slug another post has reject the file.
+
+import { parseArgs } from "@std/cli/parse-args";
+import {
+  applyUpdate,
+  blockFilePath,
+  type BlogBlock,
+  listBlogBlocks,
+  readJsonPath,
+  resolveBlockId,
+} from "../sdk/blog.ts";
+import { parseMarkdownPost } from "../sdk/markdown.ts";
+import { validateUpdate } from "../sdk/postSchema.ts";
+import { saveBlogBlock } from "../sdk/revisions.ts";
+import { tagSlug } from "../sdk/postFilters.ts";
+import { sanitizePostHtml } from "../sdk/sanitize.ts";
+
+const DEFAULT_AUTHOR = "Guilherme Rodrigues";
+
+async function main() {
+  const args = parseArgs(Deno.args, {
+    boolean: ["dry-run"],
+    string: ["author"],
+    default: { author: DEFAULT_AUTHOR },
+  });
+  const dir = String(args._[0] ?? "");
+  if (!dir) {
+    console.error(
+      "usage: import_markdown.ts <dir> [--dry-run] [--author name]",
+    );
+    Deno.exit(1);
+  }
+
+  const files: string[] = [];
+  for await (const entry of Deno.readDir(dir)) {
+    if (entry.isFile && entry.name.endsWith(".md")) files.push(entry.name);
+  }
+
+  const counts = {
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    skipped: 0,
+    rejected: 0,
+  };
+  const reject = (path: string, reason: string) => {
+    counts.rejected++;
+    console.error(`reject ${path}: ${reason}`);
+  };
+  for (const name of files.sort()) {
+    const path = `${dir}/${name}`;
+    const { fields } = parseMarkdownPost(await Deno.readTextFile(path));
+    const slug = fields.slug || tagSlug(name.slice(0, -".md".length));
+    const update = {
+      ...fields,
+      slug,
+      content: sanitizePostHtml(fields.content ?? "", `import ${path}`),
+    };
+    const issues = validateUpdate(update);
+    if (issues.length) {
+      reject(
+        path,
+        issues.map(({ field, message }) => `${field} ${message}`).join("; "),
+      );
+      continue;
+    }
+    // A post already at the slug is updated, whatever its id
+    const id = (await resolveBlockId({ slug }))!;
+    const file = blockFilePath(id);
+
+    const existing = await readJsonPath<BlogBlock>(file).catch(() => null);
+    if (existing && existing.post.slug !== slug) {
+      // The post was renamed since it was imported: importing the file
+      // again would rename it back
+      counts.skipped++;
+      console.warn(
+        `skip   ${path}: post ${id} is now at "${existing.post.slug}", set that slug in the file to update it`,
+      );
+      continue;
+    }
+    const block: BlogBlock = existing ?? {
+      name: `collections/blog/posts/${id}`,
+      __resolveType: "blog/loaders/Blogpost.ts",
+      post: {
+        authors: [{ name: args.author, email: "" }],
+        slug: id,
+        // Posts without a date in the frontmatter are dated by the file
+        date: ((await Deno.stat(path)).mtime ?? new Date()).toISOString()
+          .slice(0, 10),
+        title: "",
+        excerpt: "",
+        categories: [],
+      },
+    };
+    const post = applyUpdate(block.post, update);
+
+    if (existing && JSON.stringify(post) === JSON.stringify(existing.post)) {
+      counts.unchanged++;
+      continue;
+    }
+    const taken = (await listBlogBlocks()).find((entry) =>
+      entry.id !== id && entry.block.post.slug === post.slug
+    );
+    if (taken) {
+      reject(path, `slug "${post.slug}" is already used by post ${taken.id}`);
+      continue;
+    }
+    counts[existing ? "updated" : "created"]++;
+    console.log(`${existing ? "update" : "create"} ${id} <- ${path}`);
+    if (!args["dry-run"]) {
+      await saveBlogBlock(id, { ...block, post }, {
+        source: "workflow",
+        note: `import ${path}`,
+      });
+    }
+  }
+
+  console.log(
+    `${counts.created} created, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.skipped} skipped, ${counts.rejected} rejected${
+      args["dry-run"] ? " (dry run)" : ""
+    }`,
+  );
+  if (counts.rejected) Deno.exit(1);
+}
+
+if (import.meta.main) {
+  await main();
+}
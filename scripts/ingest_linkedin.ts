@@ -1,68 +1,26 @@
 // deno run -A scripts/ingest_linkedin.ts dataset_linkedin-profile-posts_*.json
 // Reads a LinkedIn dataset JSON (array), splits into .temp files, filters posts
 // authored by Guilherme Rodrigues (username vibegui) and creates .deco blog blocks.
-
-type LinkedInPost = {
-  urn: string;
-  posted_at?: { date?: string };
-  text?: string;
-  url?: string;
-  post_type?: string; // "regular", "repost", etc
-  author?: {
-    first_name?: string;
-    last_name?: string;
-    username?: string;
-  };
-  stats?: { total_reactions?: number };
-  media?: {
-    type?: string;
-    images?: { url: string }[];
-    url?: string;
-    thumbnail?: string;
-  };
-};
-
-function ensureDir(path: string) {
-  return Deno.mkdir(path, { recursive: true }).catch(() => {});
-}
-
-function toParagraphs(text: string): string {
-  const trimmed = text.trim();
-  if (!trimmed) return "";
-  return trimmed
-    .split(/\n\n+/g)
-    .map((p) => `<p>${p.replace(/\n/g, "<br>").trim()}</p>`) // preserve single line breaks
-    .join("");
-}
-
-function deduceTitle(text: string): string {
-  const firstSentence = (text || "")
-    .replace(/\s+/g, " ")
-    .split(/(?<=[.!?])\s+/)[0]
-    .slice(0, 80)
-    .trim();
-  return firstSentence || "Untitled";
-}
-
-function deduceExcerpt(text: string): string {
-  const normalized = (text || "").replace(/\s+/g, " ").trim();
-  return normalized.slice(0, 160);
-}
-
-function slugify(base: string, fallback: string): string {
-  const raw = base || fallback;
-  return raw
-    .normalize("NFD").replace(/\p{Diacritic}/gu, "")
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/(^-|-$)/g, "")
-    .slice(0, 80) || fallback;
-}
+// Overwrites every block it writes; prefer scripts/sync_linkedin.ts for re-runs.
+
+import {
+  BLOG_BLOCKS_DIR,
+  byReactionsDesc,
+  deduceExcerpt,
+  deduceTitle,
+  ensureDir,
+  interactionStatistic,
+  isAuthoredPost,
+  type LinkedInPost,
+  postDate,
+  readDataset,
+  slugify,
+} from "./lib/linkedin.ts";
+import { linkedInTextToHtml, postCategories } from "./lib/linkedin_html.ts";
+import { importPostMedia, withGallery } from "./lib/media.ts";
 
 async function main() {
-  const inputPath = Deno.args[0] ?? "dataset_linkedin-profile-posts_2025-08-16_16-44-33-648.json";
-  const raw = await Deno.readTextFile(inputPath);
-  const data: LinkedInPost[] = JSON.parse(raw);
+  const data = await readDataset(Deno.args[0]);
 
   await ensureDir(".temp/linkedInPosts");
   await ensureDir(".deco/blocks");
@@ -74,33 +32,26 @@ async function main() {
     const tempOut = `.temp/linkedInPosts/${post.urn}.json`;
     await Deno.writeTextFile(tempOut, JSON.stringify(post, null, 2));
 
-    // Filter: author me + regular post
-    const isMe =
-      (post.author?.username?.toLowerCase() === "vibegui") ||
-      ((post.author?.first_name?.toLowerCase() === "guilherme") &&
-        (post.author?.last_name?.toLowerCase() === "rodrigues"));
-    const isRegular = (post.post_type ?? "regular").toLowerCase() === "regular";
-    if (isMe && isRegular) postsByMe.push(post);
+    if (isAuthoredPost(post)) postsByMe.push(post);
   }
 
-  // Sort by total_reactions desc
-  postsByMe.sort((a, b) => (b.stats?.total_reactions ?? 0) - (a.stats?.total_reactions ?? 0));
+  postsByMe.sort(byReactionsDesc);
 
   // Create .deco/blocks for each authored post
-  const outDir = ".deco/blocks/collections%2Fblog%2Fposts%2F";
+  const outDir = BLOG_BLOCKS_DIR;
   await ensureDir(outDir);
 
   for (const post of postsByMe) {
     const text = post.text ?? "";
     const title = deduceTitle(text);
     const excerpt = deduceExcerpt(text);
-    const content = toParagraphs(text);
-    const date = (post.posted_at?.date ?? "").slice(0, 10);
+    const { html, hashtags } = linkedInTextToHtml(text);
+    const media = await importPostMedia(post);
+    const content = withGallery(html, media);
+    const date = postDate(post);
     const baseSlug = slugify(title, post.urn);
 
-    const image = post.media?.type?.startsWith("image")
-      ? post.media?.images?.[0]?.url ?? undefined
-      : undefined;
+    const image = media.cover;
 
     const block = {
       name: `collections/blog/posts/${post.urn}`,
@@ -112,12 +63,9 @@ async function main() {
         date,
         title,
         ...(image ? { image } : {}),
-        categories: [{ name: "LinkedIn", slug: "linkedin" }],
+        categories: postCategories(hashtags),
         excerpt,
-        interactionStatistic: {
-          "@type": "InteractionCounter",
-          userInteractionCount: post.stats?.total_reactions ?? 0,
-        },
+        interactionStatistic: interactionStatistic(post),
       },
     } as const;
 
@@ -131,5 +79,3 @@ async function main() {
 if (import.meta.main) {
   await main();
 }
-
-
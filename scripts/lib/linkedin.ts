@@ -0,0 +1,90 @@
+// Shared helpers for the LinkedIn ingest scripts: dataset shape, the
+// "authored by me" selection rule and the heuristics used to fill posts.
+
+export type LinkedInPost = {
+  urn: string;
+  posted_at?: { date?: string };
+  text?: string;
+  url?: string;
+  post_type?: string; // "regular", "repost", etc
+  author?: {
+    first_name?: string;
+    last_name?: string;
+    username?: string;
+  };
+  stats?: { total_reactions?: number };
+  media?: {
+    type?: string;
+    images?: { url: string }[];
+    url?: string;
+    thumbnail?: string;
+  };
+};
+
+export const DEFAULT_DATASET =
+  "dataset_linkedin-profile-posts_2025-08-16_16-44-33-648.json";
+
+export const BLOG_BLOCKS_DIR = ".deco/blocks/collections%2Fblog%2Fposts%2F";
+
+export async function ensureDir(path: string) {
+  try {
+    await Deno.mkdir(path, { recursive: true });
+  } catch (_) {
+    // ignore if exists
+  }
+}
+
+export async function readDataset(
+  path = DEFAULT_DATASET,
+): Promise<LinkedInPost[]> {
+  const raw = await Deno.readTextFile(path);
+  return JSON.parse(raw) as LinkedInPost[];
+}
+
+// Author me (username vibegui) + regular post, no reposts
+export function isAuthoredPost(post: LinkedInPost): boolean {
+  const isMe = post.author?.username?.toLowerCase() === "vibegui" ||
+    (post.author?.first_name?.toLowerCase() === "guilherme" &&
+      post.author?.last_name?.toLowerCase() === "rodrigues");
+  const isRegular = (post.post_type ?? "regular").toLowerCase() === "regular";
+  return !!(isMe && isRegular);
+}
+
+export const reactions = (post: LinkedInPost) =>
+  post.stats?.total_reactions ?? 0;
+
+// Sort by total_reactions desc
+export const byReactionsDesc = (a: LinkedInPost, b: LinkedInPost) =>
+  reactions(b) - reactions(a);
+
+export function deduceTitle(text: string): string {
+  const firstSentence = (text || "")
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.!?])\s+/)[0]
+    .slice(0, 80)
+    .trim();
+  return firstSentence || "Untitled";
+}
+
+export function deduceExcerpt(text: string): string {
+  const normalized = (text || "").replace(/\s+/g, " ").trim();
+  return normalized.slice(0, 160);
+}
+
+export function slugify(base: string, fallback: string): string {
+  const raw = base || fallback;
+  return raw
+    .normalize("NFD").replace(/\p{Diacritic}/gu, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/(^-|-$)/g, "")
+    .slice(0, 80) || fallback;
+}
+
+export const postDate = (post: LinkedInPost) =>
+  (post.posted_at?.date ?? "").slice(0, 10);
+
+export const interactionStatistic = (post: LinkedInPost) => ({
+  "@type": "InteractionCounter",
+  userInteractionCount: reactions(post),
+});
@@ -0,0 +1,212 @@
+// LinkedIn post text -> blog HTML. LinkedIn has no markup, so structure is
+// recovered from how people actually write there: blank lines between
+// paragraphs, "-", "•" or emoji-led bullet lines, "1." / "1️⃣" numbered lines,
+// bare links, #hashtags and @mentions.
+
+import { slugify } from "./linkedin.ts";
+
+export interface ConvertOptions {
+  /** Where hashtags link to; the tag slug is appended */
+  categoryBasePath?: string;
+  /** Profile URL for an @mention */
+  mentionUrl?: (handle: string) => string;
+}
+
+export interface ConvertResult {
+  html: string;
+  /** Hashtags found in the text, in order of appearance, without duplicates */
+  hashtags: string[];
+}
+
+export const CATEGORY_BASE_PATH = "/blog/category/";
+
+/** Bump when the output changes, so synced posts get re-rendered */
+export const CONVERTER_VERSION = 1;
+
+const defaultMentionUrl = (handle: string) =>
+  `https://www.linkedin.com/in/${encodeURIComponent(handle)}`;
+
+// Typographic bullets are dropped from the item text; emoji bullets are kept
+// since they usually carry meaning (✅ vs ❌)
+const TEXT_BULLET = /^\s*[-–—•▪◦‣⁃·*]\s+/;
+const EMOJI_BULLET = /^\s*(\p{Extended_Pictographic}️?)\s*/u;
+const NUMBERED = /^\s*(?:\d{1,2}[.)]|\d️?⃣|🔟)\s*/u;
+
+type LineKind = "ul" | "emoji" | "ol" | "text";
+
+const lineKind = (line: string): LineKind => {
+  if (NUMBERED.test(line)) return "ol";
+  if (TEXT_BULLET.test(line)) return "ul";
+  if (EMOJI_BULLET.test(line)) return "emoji";
+  return "text";
+};
+
+const escapeHtml = (text: string) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const TLDS = "com|ai|cx|io|dev|camp|org|net|br|app|co|so|page|chat|me|xyz|sh";
+
+const INLINE = new RegExp(
+  [
+    // 1: explicit URL
+    String.raw`(https?:\/\/[^\s<]+)`,
+    // 2: bare domain, optionally with a path
+    String
+      .raw`(?<![\p{L}\p{N}@./-])((?:[a-z0-9-]+\.)+(?:${TLDS})(?:\/[^\s<]*)?)(?![\p{L}\p{N}])`,
+    // 3: hashtag (scraped text often has "hashtag#tag")
+    String
+      .raw`(?<![\p{L}\p{N}_&/])(?:hashtag)?#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)`,
+    // 4: mention
+    String.raw`(?<![\p{L}\p{N}_.])@([\p{L}\p{N}_-]*\p{L}[\p{L}\p{N}_-]*)`,
+    // 5, 6: *strong* / **strong**, 7: _emphasis_
+    String
+      .raw`\*\*([^*\n]+)\*\*|\*([^*\s][^*\n]*?)\*|(?<![\p{L}\p{N}])_([^_\s][^_\n]*?)_(?![\p{L}\p{N}])`,
+  ].join("|"),
+  "giu",
+);
+
+// Punctuation that ends a sentence rather than a link
+const TRAILING_PUNCTUATION = /[.,;:!?)\]"'’”]+$/;
+
+const link = (href: string, text: string, attrs = "") =>
+  `<a href="${escapeHtml(href)}"${attrs}>${text}</a>`;
+
+const externalLink = (href: string, text: string) =>
+  link(href, text, ` target="_blank" rel="noopener noreferrer"`);
+
+function inline(
+  text: string,
+  opts: Required<ConvertOptions>,
+  hashtags: Set<string>,
+): string {
+  let html = "";
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    const [raw, url, domain, tag, mention, strong, strongSingle, em] = match;
+    const index = match.index!;
+    html += escapeHtml(text.slice(last, index));
+    last = index + raw.length;
+
+    if (url || domain) {
+      const target = url ?? domain;
+      const trailing = target.match(TRAILING_PUNCTUATION)?.[0] ?? "";
+      const clean = target.slice(0, target.length - trailing.length);
+      last -= trailing.length;
+      html += externalLink(
+        url ? clean : `https://${clean}`,
+        escapeHtml(clean),
+      );
+    } else if (tag) {
+      hashtags.add(tag);
+      html += link(
+        `${opts.categoryBasePath}${slugify(tag, tag.toLowerCase())}`,
+        `#${escapeHtml(tag)}`,
+        ` rel="tag"`,
+      );
+    } else if (mention) {
+      html += externalLink(opts.mentionUrl(mention), `@${escapeHtml(mention)}`);
+    } else if (strong ?? strongSingle) {
+      html += `<strong>${
+        inline(strong ?? strongSingle, opts, hashtags)
+      }</strong>`;
+    } else if (em) {
+      html += `<em>${inline(em, opts, hashtags)}</em>`;
+    }
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+function listItem(line: string, kind: LineKind) {
+  switch (kind) {
+    case "ol":
+      return line.replace(NUMBERED, "");
+    case "ul":
+      return line.replace(TEXT_BULLET, "");
+    default:
+      return line.trim();
+  }
+}
+
+function convertBlock(
+  block: string,
+  opts: Required<ConvertOptions>,
+  hashtags: Set<string>,
+): string {
+  const lines = block.split("\n").map((line) => line.trimEnd());
+  const kinds = lines.map(lineKind);
+  const out: string[] = [];
+  let paragraph: string[] = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      out.push(
+        `<p>${
+          paragraph.map((l) => inline(l.trim(), opts, hashtags)).join("<br>")
+        }</p>`,
+      );
+    }
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length;) {
+    const kind = kinds[i];
+    let end = i;
+    while (end < lines.length && kinds[end] === kind) end++;
+
+    // A single emoji-led line is a sentence, not a list
+    const isList = kind !== "text" && (kind !== "emoji" || end - i > 1);
+    if (!isList) {
+      paragraph.push(...lines.slice(i, end));
+    } else {
+      flushParagraph();
+      const tag = kind === "ol" ? "ol" : "ul";
+      const attrs = kind === "emoji" ? ` data-bullets="emoji"` : "";
+      const items = lines
+        .slice(i, end)
+        .map((line) =>
+          `<li>${inline(listItem(line, kind), opts, hashtags)}</li>`
+        )
+        .join("");
+      out.push(`<${tag}${attrs}>${items}</${tag}>`);
+    }
+    i = end;
+  }
+  flushParagraph();
+  return out.join("");
+}
+
+export function linkedInTextToHtml(
+  text: string | undefined,
+  options: ConvertOptions = {},
+): ConvertResult {
+  const opts: Required<ConvertOptions> = {
+    categoryBasePath: options.categoryBasePath ?? CATEGORY_BASE_PATH,
+    mentionUrl: options.mentionUrl ?? defaultMentionUrl,
+  };
+  const hashtags = new Set<string>();
+  const html = (text ?? "")
+    .replace(/\r\n?/g, "\n")
+    .trim()
+    .split(/\n\s*\n+/g)
+    .filter((block) => block.trim())
+    .map((block) => convertBlock(block, opts, hashtags))
+    .join("");
+
+  return { html, hashtags: [...hashtags] };
+}
+
+/** Blog categories for an imported post: "LinkedIn" plus one per hashtag */
+export function postCategories(hashtags: string[]) {
+  const categories = [{ name: "LinkedIn", slug: "linkedin" }];
+  for (const tag of hashtags) {
+    const slug = slugify(tag, tag.toLowerCase());
+    if (!categories.some((category) => category.slug === slug)) {
+      categories.push({ name: tag, slug });
+    }
+  }
+  return categories;
+}
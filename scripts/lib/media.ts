@@ -0,0 +1,150 @@
+// Copies LinkedIn post media into the site's static assets under
+// content-addressed names, so blocks never point at LinkedIn CDN URLs (they
+// expire a few weeks after the export).
+
+import { sha256 } from "../../sdk/hash.ts";
+import { galleryHtml } from "../../sdk/gallery.ts";
+import { ensureDir, type LinkedInPost } from "./linkedin.ts";
+
+export interface MediaOptions {
+  /** Directory the files are written to */
+  assetDir?: string;
+  /** URL path the directory is served under; derived from assetDir when it is inside static/ */
+  publicPath?: string;
+  /** Compute names without writing anything */
+  dryRun?: boolean;
+}
+
+export interface ImportedMedia {
+  /** Public path of the cover image */
+  cover?: string;
+  /** Public paths of every image that could be imported, in post order */
+  images: string[];
+  /** Sources that could not be read */
+  missing: string[];
+}
+
+export const DEFAULT_ASSET_DIR = "static/blog-media";
+
+const FETCH_TIMEOUT_MS = 15_000;
+
+const EXTENSIONS: Record<string, string> = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "avif",
+};
+
+function publicPathFor(opts: MediaOptions): string {
+  if (opts.publicPath) return opts.publicPath.replace(/\/$/, "");
+  const dir = (opts.assetDir ?? DEFAULT_ASSET_DIR).replace(/\/$/, "");
+  if (!dir.startsWith("static/")) {
+    throw new Error(
+      `publicPath is required when assetDir (${dir}) is outside static/`,
+    );
+  }
+  return dir.slice("static".length);
+}
+
+// Image type from the first bytes; LinkedIn CDN URLs carry no extension
+function sniffType(bytes: Uint8Array): string | undefined {
+  const hex = [...bytes.slice(0, 12)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+  if (hex.startsWith("ffd8ff")) return "image/jpeg";
+  if (hex.startsWith("89504e47")) return "image/png";
+  if (hex.startsWith("47494638")) return "image/gif";
+  if (hex.startsWith("52494646") && hex.slice(16, 24) === "57454250") {
+    return "image/webp";
+  }
+  if (hex.slice(8, 24) === "6674797061766966") return "image/avif";
+  return undefined;
+}
+
+async function readSource(source: string) {
+  try {
+    if (/^https?:\/\//.test(source)) {
+      const res = await fetch(source, {
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+      if (!res.ok) {
+        await res.body?.cancel();
+        return null;
+      }
+      return new Uint8Array(await res.arrayBuffer());
+    }
+    return await Deno.readFile(source);
+  } catch (_) {
+    return null;
+  }
+}
+
+async function exists(path: string) {
+  try {
+    await Deno.stat(path);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/** Image sources of a post, cover candidate first */
+export function mediaSources(post: LinkedInPost): string[] {
+  const media = post.media;
+  if (!media) return [];
+  const images = (media.images ?? []).map((image) => image.url);
+  if (images.length) return images;
+  if (media.type?.startsWith("image") && media.url) return [media.url];
+  // videos, documents and articles only have a thumbnail worth showing
+  return media.thumbnail ? [media.thumbnail] : [];
+}
+
+/**
+ * Copies one image, returning its public path, or null when the source is
+ * missing or not an image.
+ */
+export async function importImage(
+  source: string,
+  opts: MediaOptions = {},
+): Promise<string | null> {
+  const bytes = await readSource(source);
+  const type = bytes && sniffType(bytes);
+  if (!bytes || !type) return null;
+
+  const name = `${(await sha256(bytes)).slice(0, 20)}.${EXTENSIONS[type]}`;
+  const dir = (opts.assetDir ?? DEFAULT_ASSET_DIR).replace(/\/$/, "");
+  const path = `${dir}/${name}`;
+  if (!opts.dryRun && !(await exists(path))) {
+    await ensureDir(dir);
+    await Deno.writeFile(path, bytes);
+  }
+  return `${publicPathFor(opts)}/${name}`;
+}
+
+export async function importPostMedia(
+  post: LinkedInPost,
+  opts: MediaOptions = {},
+): Promise<ImportedMedia> {
+  const imported: ImportedMedia = { images: [], missing: [] };
+  for (const source of mediaSources(post)) {
+    const path = await importImage(source, opts);
+    if (path) {
+      if (!imported.images.includes(path)) imported.images.push(path);
+    } else {
+      imported.missing.push(source);
+    }
+  }
+  imported.cover = imported.images[0];
+  return imported;
+}
+
+/**
+ * Content with the post's gallery appended. Single images are only used as
+ * the cover, so nothing is added for them.
+ */
+export function withGallery(content: string, media: ImportedMedia): string {
+  return media.images.length > 1
+    ? content + galleryHtml(media.images)
+    : content;
+}
@@ -1,23 +1,13 @@
 // deno run -A scripts/split_linkedin.ts dataset_linkedin-profile-posts_*.json
 // Minimal splitter: writes each post to .temp/linkedInPosts/{urn}.json
 
-type LinkedInPost = {
-  urn: string;
-};
-
-async function ensureDir(path: string) {
-  try {
-    await Deno.mkdir(path, { recursive: true });
-  } catch (_) {}
-}
+import { ensureDir, readDataset } from "./lib/linkedin.ts";
 
 async function main() {
-  const inputPath = Deno.args[0] ?? "dataset_linkedin-profile-posts_2025-08-16_16-44-33-648.json";
   const outDir = ".temp/linkedInPosts";
   await ensureDir(outDir);
 
-  const raw = await Deno.readTextFile(inputPath);
-  const data: LinkedInPost[] = JSON.parse(raw);
+  const data = await readDataset(Deno.args[0]);
 
   let count = 0;
   for (const post of data) {
@@ -32,5 +22,3 @@ async function main() {
 if (import.meta.main) {
   await main();
 }
-
-
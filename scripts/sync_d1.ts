@@ -0,0 +1,229 @@
+// deno run -A scripts/sync_d1.ts [--direction both|blocks-to-db|db-to-blocks]
+//   [--conflict skip|blocks|db] [--dry-run] [--url https://.../mcp]
+// Reconciles the blog post blocks with the D1 posts tables of the
+// vibegui-internal server (see sdk/postSync.ts). The blocks are sent as
+// records to its SYNC_BLOG_POSTS tool, which reports the drift and applies
+// the D1 side; what comes back from D1 is written into the blocks here.
+// Hashes of the last sync are kept in .deco/sync/d1.json, so `both` can
+// tell which side changed. Posts renamed in blocks are matched with their
+// D1 row through .deco/redirects.json, and D1 gets the new slug. The URL
+// defaults to the translations server configured in the site app.
+
+import { parseArgs } from "@std/cli/parse-args";
+import {
+  applyUpdate,
+  blocksDirPath,
+  type BlogBlock,
+  type BlogBlockEntry,
+  listBlogBlocks,
+  readJsonPath,
+  toBlogPost,
+  type UpdateFields,
+  writeJsonPath,
+} from "../sdk/blog.ts";
+import { postLanguage } from "../sdk/postFilters.ts";
+import {
+  type ConflictRule,
+  htmlToText,
+  type SyncAction,
+  type SyncDirection,
+  type SyncPlan,
+  type SyncRecord,
+} from "../sdk/postSync.ts";
+import { listRedirects, resolveRedirect } from "../sdk/redirects.ts";
+import { saveBlogBlock } from "../sdk/revisions.ts";
+import { callTool, ensureHtml } from "../sdk/translations.ts";
+
+const STATE_PATH = ".deco/sync/d1.json";
+const DIRECTIONS = ["both", "blocks-to-db", "db-to-blocks"];
+const CONFLICT_RULES = ["skip", "blocks", "db"];
+// The tool reads and writes every post: allow more than a page render does
+const TIMEOUT_MS = 120_000;
+
+interface SyncState {
+  syncedAt: string;
+  direction: SyncDirection;
+  base: Record<string, string>;
+}
+
+type SyncResult = SyncPlan & {
+  pulled: SyncRecord[];
+  applied: boolean;
+  /** D1 actions that could not be applied; their base hash is kept */
+  failed: { slug: string; kind: string; error: string }[];
+};
+
+function toRecord({ block }: BlogBlockEntry): SyncRecord {
+  const { post } = block;
+  const [author] = post.authors ?? [];
+  return {
+    slug: post.slug,
+    title: post.title ?? "",
+    excerpt: post.excerpt ?? "",
+    content: htmlToText(post.content ?? ""),
+    date: post.date ?? "",
+    authorName: author?.name ?? "",
+    authorEmail: author?.email ?? "",
+    language: postLanguage(toBlogPost(block)),
+    interactionCount: post.interactionStatistic?.userInteractionCount ?? 0,
+  };
+}
+
+/**
+ * The fields of a D1 record that differ from the block, as an update.
+ * Never the content: D1 only has its text (see planSync).
+ */
+function toUpdate(
+  record: SyncRecord,
+  fields: string[],
+  post?: BlogBlock["post"],
+): UpdateFields {
+  const authors = post?.authors ?? [];
+  return {
+    ...(fields.includes("title") ? { title: record.title } : {}),
+    ...(fields.includes("excerpt") ? { excerpt: record.excerpt } : {}),
+    ...(fields.includes("date") ? { date: record.date } : {}),
+    ...(fields.includes("authorName") || fields.includes("authorEmail")
+      ? {
+        authors: [
+          { name: record.authorName, email: record.authorEmail },
+          ...authors.slice(1),
+        ],
+      }
+      : {}),
+  };
+}
+
+/** Where every redirected slug ends up, leaving out loops */
+async function renames(): Promise<Record<string, string>> {
+  const redirects = await listRedirects();
+  return Object.fromEntries(
+    redirects.flatMap(({ from }) => {
+      const resolved = resolveRedirect(redirects, from);
+      return resolved && !resolved.loop ? [[from, resolved.slug]] : [];
+    }),
+  );
+}
+
+async function siteTranslationsUrl(): Promise<string | undefined> {
+  const site = await readJsonPath<{ blog?: { translationsUrl?: string } }>(
+    `${blocksDirPath()}site.json`,
+  ).catch(() => null);
+  return site?.blog?.translationsUrl;
+}
+
+const describe = ({ kind, slug, fields, reason }: SyncAction) =>
+  `${kind.padEnd(12)} ${slug}${
+    fields.length ? ` [${fields.join(", ")}]` : ""
+  } (${reason})`;
+
+async function main() {
+  const args = parseArgs(Deno.args, {
+    boolean: ["dry-run"],
+    string: ["direction", "conflict", "url"],
+  });
+  const direction = (args.direction ?? "both") as SyncDirection;
+  const conflict = (args.conflict ?? "skip") as ConflictRule;
+  const url = args.url ?? await siteTranslationsUrl();
+  if (
+    !url || !DIRECTIONS.includes(direction) ||
+    !CONFLICT_RULES.includes(conflict)
+  ) {
+    console.error(
+      "usage: sync_d1.ts [--direction both|blocks-to-db|db-to-blocks] [--conflict skip|blocks|db] [--dry-run] [--url mcp-url]",
+    );
+    Deno.exit(1);
+  }
+  const dryRun = !!args["dry-run"];
+
+  const entries = await listBlogBlocks();
+  const state = await readJsonPath<SyncState>(STATE_PATH).catch(() => null);
+  const result = await callTool<SyncResult>(url, "SYNC_BLOG_POSTS", {
+    blocks: entries.map(toRecord),
+    direction,
+    conflict,
+    base: state?.base ?? {},
+    renames: await renames(),
+    dryRun,
+  }, TIMEOUT_MS);
+
+  const bySlug = new Map(
+    entries.map((entry) => [entry.block.post.slug, entry]),
+  );
+  const pulled = new Map(result.pulled.map((record) => [record.slug, record]));
+  for (const action of result.actions) {
+    console.log(describe(action));
+    const record = pulled.get(action.slug);
+    if (dryRun || !record) continue;
+
+    if (action.kind === "update-block") {
+      const { id, block } = bySlug.get(action.slug)!;
+      const post = applyUpdate(
+        block.post,
+        toUpdate(record, action.fields, block.post),
+      );
+      await saveBlogBlock(id, { ...block, post }, {
+        source: "workflow",
+        note: "D1 sync",
+      });
+    } else if (action.kind === "create-block") {
+      if (entries.some((entry) => entry.id === record.slug)) {
+        // A renamed post still has its old slug as id: never overwrite it
+        console.warn(
+          `  not created: block ${record.slug} exists under another slug`,
+        );
+        continue;
+      }
+      // Posts only in D1 come in as drafts, to be reviewed before publishing
+      const block: BlogBlock = {
+        name: `collections/blog/posts/${record.slug}`,
+        __resolveType: "blog/loaders/Blogpost.ts",
+        post: {
+          slug: record.slug,
+          status: "draft",
+          title: "",
+          excerpt: "",
+          categories: [],
+          ...toUpdate(record, ["title", "excerpt", "date", "authorName"]),
+          // D1 only has the text: paragraphs are all that can be rebuilt
+          content: ensureHtml(record.content),
+        },
+      };
+      await saveBlogBlock(record.slug, block, {
+        source: "workflow",
+        note: "D1 sync",
+      });
+    }
+  }
+
+  for (const { kind, slug, error } of result.failed) {
+    console.error(`failed       ${slug} (${kind}: ${error})`);
+  }
+  const count = (kind: string) =>
+    result.actions.filter((action) => action.kind === kind).length;
+  console.log(
+    `${result.inSync} in sync, ${
+      count("create-db") + count("update-db")
+    } to D1, ${count("create-block") + count("update-block")} to blocks, ${
+      count("conflict")
+    } conflicts, ${count("skip")} skipped, ${result.failed.length} failed${
+      dryRun ? " (dry run)" : ""
+    }`,
+  );
+  if (!dryRun) {
+    await writeJsonPath(
+      STATE_PATH,
+      {
+        syncedAt: new Date().toISOString(),
+        direction,
+        base: result.base,
+      } satisfies SyncState,
+    );
+  }
+  if (result.failed.length) Deno.exit(1);
+  if (count("conflict")) Deno.exit(2);
+}
+
+if (import.meta.main) {
+  await main();
+}
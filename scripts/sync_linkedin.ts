@@ -0,0 +1,309 @@
+// deno run -A scripts/sync_linkedin.ts [dataset.json] [--top 50] [--since 2024-01-01] [--dry-run] [--force] [--assets static/blog-media] [--assets-url /blog-media]
+// Incremental LinkedIn -> blog sync. Keeps a manifest of imported URNs in
+// scripts/linkedin_sync_manifest.json so re-runs only touch what changed:
+// - new authored posts become blocks (title/excerpt blank, for an LLM or a human to fill)
+// - edited posts (source text hash changed) are merged into their block with the
+//   same semantics as loaders/mcp/UpsertBlogPost.ts
+// - titles, excerpts and content edited by hand are never overwritten; they are
+//   reported as conflicts instead (--force overwrites hand-edited content), and
+//   a content conflict is reported on every run until it is resolved
+// - images are copied into --assets (see scripts/lib/media.ts); the first one
+//   becomes the cover and multi-image posts get a gallery in the content
+
+import { parseArgs } from "@std/cli/parse-args";
+import {
+  applyUpdate,
+  blockFilePath,
+  type BlogBlock,
+  readJsonPath,
+  type UpdateFields,
+  writeJsonPath,
+} from "../sdk/blog.ts";
+import { sha256 } from "../sdk/hash.ts";
+import { saveBlogBlock } from "../sdk/revisions.ts";
+import {
+  byReactionsDesc,
+  interactionStatistic,
+  isAuthoredPost,
+  type LinkedInPost,
+  postDate,
+  readDataset,
+} from "./lib/linkedin.ts";
+import {
+  CONVERTER_VERSION,
+  linkedInTextToHtml,
+  postCategories,
+} from "./lib/linkedin_html.ts";
+import {
+  type ImportedMedia,
+  importPostMedia,
+  type MediaOptions,
+  mediaSources,
+  withGallery,
+} from "./lib/media.ts";
+
+const MANIFEST_PATH = "scripts/linkedin_sync_manifest.json";
+const USAGE =
+  "usage: sync_linkedin.ts [dataset.json] [--top N] [--since YYYY-MM-DD] [--dry-run] [--force] [--assets dir] [--assets-url path]";
+
+type ManifestEntry = {
+  // hash of the LinkedIn source the block was last synced from
+  sourceHash: string;
+  // what the sync last wrote, to tell generated values from hand edits
+  title: string;
+  excerpt: string;
+  contentHash: string;
+  syncedAt: string;
+};
+
+type Manifest = {
+  version: 1;
+  posts: Record<string, ManifestEntry>;
+};
+
+type Status = "added" | "updated" | "skipped" | "conflict";
+
+type Outcome = { urn: string; status: Status; detail?: string };
+
+async function loadManifest(): Promise<Manifest> {
+  try {
+    return await readJsonPath<Manifest>(MANIFEST_PATH);
+  } catch (_) {
+    return { version: 1, posts: {} };
+  }
+}
+
+async function readBlock(urn: string): Promise<BlogBlock | null> {
+  try {
+    return await readJsonPath<BlogBlock>(blockFilePath(urn));
+  } catch (_) {
+    return null;
+  }
+}
+
+// Includes the converter version so improvements to the HTML conversion reach
+// posts whose content was not edited by hand. Media is counted rather than
+// hashed since LinkedIn CDN URLs change on every export.
+const sourceHash = (post: LinkedInPost) =>
+  sha256(
+    `${CONVERTER_VERSION}\n${mediaSources(post).length}\n${post.text ?? ""}`,
+  );
+
+// Covers imported by the older scripts point at the LinkedIn CDN and expire
+const needsCover = (image?: string) =>
+  !image || /^https?:\/\/[^/]*licdn\.com\//.test(image);
+
+/**
+ * The block for a post seen for the first time. It has no title yet, so it
+ * is a draft until one is written (and the status changed by hand).
+ */
+export function newBlock(
+  post: LinkedInPost,
+  content: string,
+  hashtags: string[],
+  media: ImportedMedia,
+): BlogBlock {
+  return {
+    name: `collections/blog/posts/${post.urn}`,
+    __resolveType: "blog/loaders/Blogpost.ts",
+    post: {
+      authors: [{ name: "Guilherme Rodrigues", email: "" }],
+      content,
+      slug: post.urn, // slug left as urn for stability; feel free to revise later
+      date: postDate(post),
+      title: "",
+      status: "draft",
+      ...(media.cover ? { image: media.cover } : {}),
+      categories: postCategories(hashtags),
+      excerpt: "",
+      interactionStatistic: interactionStatistic(post),
+    },
+  };
+}
+
+function select(data: LinkedInPost[], top?: number, since?: string) {
+  const authored = data
+    .filter(isAuthoredPost)
+    .filter((post) => !since || postDate(post) >= since)
+    .sort(byReactionsDesc);
+  return top ? authored.slice(0, top) : authored;
+}
+
+async function syncPost(
+  post: LinkedInPost,
+  manifest: Manifest,
+  opts: { dryRun: boolean; force: boolean; media: MediaOptions },
+): Promise<Outcome> {
+  const { urn } = post;
+  const hash = await sourceHash(post);
+  const entry = manifest.posts[urn];
+  const block = await readBlock(urn);
+
+  if (entry && !block) {
+    return {
+      urn,
+      status: "skipped",
+      detail: "block was deleted, not restoring",
+    };
+  }
+
+  if (entry?.sourceHash === hash) {
+    return { urn, status: "skipped" };
+  }
+
+  // New or changed: only now is it worth copying the media
+  const { html, hashtags } = linkedInTextToHtml(post.text);
+  const media = await importPostMedia(post, {
+    ...opts.media,
+    dryRun: opts.dryRun,
+  });
+  for (const source of media.missing) {
+    console.warn(`  ! ${urn}: could not import ${source}`);
+  }
+  const content = withGallery(html, media);
+  const contentHash = await sha256(content);
+  const now = new Date().toISOString();
+
+  const write = async (next: BlogBlock) => {
+    if (!opts.dryRun) {
+      await saveBlogBlock(urn, next, {
+        source: "workflow",
+        note: "LinkedIn sync",
+      });
+    }
+  };
+
+  if (!entry && !block) {
+    await write(newBlock(post, content, hashtags, media));
+    manifest.posts[urn] = {
+      sourceHash: hash,
+      title: "",
+      excerpt: "",
+      contentHash,
+      syncedAt: now,
+    };
+    return { urn, status: "added" };
+  }
+
+  if (!entry && block) {
+    // Imported by one of the older scripts: adopt what is on disk as the baseline
+    const current = await sha256(block.post.content ?? "");
+    if (media.cover && needsCover(block.post.image)) {
+      await write({ ...block, post: { ...block.post, image: media.cover } });
+    }
+    manifest.posts[urn] = {
+      sourceHash: hash,
+      title: "",
+      excerpt: "",
+      contentHash: current,
+      syncedAt: now,
+    };
+    return current === contentHash
+      ? { urn, status: "skipped", detail: "adopted existing block" }
+      : {
+        urn,
+        status: "conflict",
+        detail: "existing block differs from LinkedIn, kept block content",
+      };
+  }
+
+  // Edited on LinkedIn (or converted differently) since the last sync
+  const existing = block!;
+  const conflicts: string[] = [];
+  const update: UpdateFields = { date: postDate(post) };
+
+  const blockContentHash = await sha256(existing.post.content ?? "");
+  if (blockContentHash === entry!.contentHash || opts.force) {
+    update.content = content;
+  } else {
+    conflicts.push("content");
+  }
+  if (media.cover && needsCover(existing.post.image)) {
+    update.image = media.cover;
+  }
+  // Titles and excerpts are only ever filled by hand (or by an LLM) and
+  // are never regenerated here; a LinkedIn edit just gets flagged
+  for (const field of ["title", "excerpt"] as const) {
+    if ((existing.post[field] ?? "") !== entry![field]) conflicts.push(field);
+  }
+
+  const next: BlogBlock = {
+    ...existing,
+    post: {
+      ...applyUpdate(existing.post, update),
+      interactionStatistic: interactionStatistic(post),
+    },
+  };
+  await write(next);
+  manifest.posts[urn] = {
+    // A content conflict keeps the old hash, so every run reports it until
+    // it is resolved (by hand, or with --force)
+    sourceHash: conflicts.includes("content") ? entry!.sourceHash : hash,
+    title: next.post.title ?? "",
+    excerpt: next.post.excerpt ?? "",
+    contentHash: update.content !== undefined
+      ? contentHash
+      : entry!.contentHash,
+    syncedAt: now,
+  };
+
+  return conflicts.length
+    ? {
+      urn,
+      status: "conflict",
+      detail: `hand-edited ${conflicts.join(", ")} kept`,
+    }
+    : { urn, status: "updated" };
+}
+
+async function main() {
+  const args = parseArgs(Deno.args, {
+    boolean: ["dry-run", "force"],
+    string: ["top", "since", "assets", "assets-url"],
+  });
+  const top = args.top === undefined ? undefined : Number(args.top);
+  if (top !== undefined && !(Number.isInteger(top) && top > 0)) {
+    console.error(USAGE);
+    Deno.exit(1);
+  }
+  const data = await readDataset(args._[0] as string | undefined);
+  const manifest = await loadManifest();
+  const opts = {
+    dryRun: args["dry-run"],
+    force: args.force,
+    media: { assetDir: args.assets, publicPath: args["assets-url"] },
+  };
+
+  const selected = select(data, top, args.since);
+
+  const outcomes: Outcome[] = [];
+  for (const post of selected) {
+    outcomes.push(await syncPost(post, manifest, opts));
+  }
+
+  if (!opts.dryRun) {
+    await writeJsonPath(MANIFEST_PATH, manifest);
+  }
+
+  const summary: Record<Status, Outcome[]> = {
+    added: [],
+    updated: [],
+    skipped: [],
+    conflict: [],
+  };
+  for (const outcome of outcomes) summary[outcome.status].push(outcome);
+
+  const prefix = opts.dryRun ? "[dry-run] " : "";
+  console.log(`${prefix}Synced ${selected.length} LinkedIn posts`);
+  for (const [status, items] of Object.entries(summary)) {
+    console.log(`  ${status.padEnd(9)} ${items.length}`);
+  }
+  const changed = [...summary.added, ...summary.updated, ...summary.conflict];
+  for (const { urn, status, detail } of changed) {
+    console.log(`  - ${status}: ${urn}${detail ? ` (${detail})` : ""}`);
+  }
+}
+
+if (import.meta.main) {
+  await main();
+}
@@ -0,0 +1,80 @@
+import type { Author as PostAuthor } from "apps/blog/types.ts";
+import { blocksDirPath, readJsonPath } from "site/sdk/blog.ts";
+
+export interface AuthorLink {
+  /** e.g. LinkedIn, X, GitHub, Website */
+  label: string;
+  url: string;
+}
+
+export interface AuthorProfile {
+  name: string;
+  email?: string;
+  avatar?: string;
+  jobTitle?: string;
+  company?: string;
+  /** Short bio shown under the post */
+  bio?: string;
+  links?: AuthorLink[];
+}
+
+/** Shape of a `collections/blog/authors/*` block as stored in .deco/blocks */
+type AuthorBlock = {
+  name: string;
+  __resolveType: string;
+  author: AuthorProfile;
+};
+
+export const AUTHOR_COLLECTION = "collections/blog/authors/";
+const AUTHOR_PREFIX_ENC = encodeURIComponent(AUTHOR_COLLECTION);
+
+let cached: { signature: string; authors: AuthorProfile[] } | null = null;
+
+/**
+ * The authors registry: every author block in .deco/blocks, edited in the
+ * admin like the posts. Re-read when a block file changes.
+ */
+export async function listAuthors(): Promise<AuthorProfile[]> {
+  const dirPath = blocksDirPath();
+  const stamps: string[] = [];
+  for await (const entry of Deno.readDir(dirPath)) {
+    if (!entry.isFile || !entry.name.startsWith(AUTHOR_PREFIX_ENC)) continue;
+    const stat = await Deno.stat(dirPath + entry.name);
+    stamps.push(`${entry.name}:${stat.mtime?.getTime() ?? 0}`);
+  }
+  const signature = stamps.sort().join("|");
+  if (cached?.signature === signature) return cached.authors;
+
+  const authors: AuthorProfile[] = [];
+  for (const stamp of stamps) {
+    const name = stamp.slice(0, stamp.lastIndexOf(":"));
+    try {
+      const block = await readJsonPath<AuthorBlock>(dirPath + name);
+      if (block?.author?.name) authors.push(block.author);
+    } catch (_) {
+      // ignore malformed files
+    }
+  }
+  cached = { signature, authors };
+  return authors;
+}
+
+const normalize = (text?: string) => (text ?? "").trim().toLowerCase();
+
+/**
+ * Registry profile for a post author, matched by email and then by name.
+ * Authors missing from the registry are returned as written in the post.
+ */
+export async function resolveAuthors(
+  authors: PostAuthor[],
+): Promise<AuthorProfile[]> {
+  const registry = await listAuthors();
+  return authors.map((author) => {
+    const profile = registry.find((p) =>
+      author.email && normalize(p.email) === normalize(author.email)
+    ) ?? registry.find((p) =>
+      normalize(p.name) === normalize(author.name)
+    );
+    return profile ? { ...author, ...profile } : { ...author };
+  });
+}
@@ -0,0 +1,279 @@
+import type { BlogPost } from "apps/blog/types.ts";
+
+export interface Author {
+  name: string;
+  email?: string;
+}
+
+export interface Category {
+  name: string;
+  slug: string;
+}
+
+/**
+ * - draft: only rendered with the preview token
+ * - scheduled: published once `publishAt` has passed
+ * - published: listed everywhere, the default for blocks without a status
+ * - unlisted: rendered at its URL, left out of listings, feeds and sitemaps
+ */
+export type PostStatus = "draft" | "scheduled" | "published" | "unlisted";
+
+/** Shape of a `collections/blog/posts/*` block as stored in .deco/blocks */
+export type BlogBlock = {
+  name: string;
+  __resolveType: string;
+  post: {
+    authors?: Author[];
+    content?: string;
+    slug: string;
+    date?: string;
+    /** ISO date of the last edit, when the post changed after `date` */
+    updatedAt?: string;
+    status?: PostStatus;
+    /** ISO date-time before which the post stays hidden */
+    publishAt?: string;
+    title?: string;
+    image?: string;
+    categories?: Category[];
+    excerpt?: string;
+    interactionStatistic?: { "@type": string; userInteractionCount?: number };
+  };
+};
+
+export interface UpdateFields {
+  title?: string;
+  excerpt?: string;
+  content?: string; // rich-text HTML
+  date?: string; // YYYY-MM-DD
+  slug?: string; // optional slug override
+  image?: string; // optional image URL
+  authors?: Author[];
+  categories?: Category[];
+  status?: PostStatus;
+  publishAt?: string; // ISO date-time, e.g. 2025-09-01T12:00:00Z
+}
+
+export interface BlogBlockEntry {
+  /** Absolute path of the block file */
+  file: string;
+  /** Block id, i.e. the file name without the collection prefix (usually the LinkedIn urn) */
+  id: string;
+  block: BlogBlock;
+}
+
+export const BLOG_COLLECTION = "collections/blog/posts/";
+// collections%2Fblog%2Fposts%2F
+export const BLOG_PREFIX_ENC = encodeURIComponent(BLOG_COLLECTION);
+
+export async function readJsonPath<T>(path: string): Promise<T> {
+  const text = await Deno.readTextFile(path);
+  return JSON.parse(text) as T;
+}
+
+export async function writeJsonPath(
+  path: string,
+  data: unknown,
+): Promise<void> {
+  const dir = path.replace(/\/?[^/]*$/, "/");
+  await Deno.mkdir(dir, { recursive: true }).catch(() => {});
+  await Deno.writeTextFile(path, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Merges a partial update into a stored post. Only fields present in
+ * `update` are touched; everything else on the block is kept as is.
+ */
+export function applyUpdate(
+  post: BlogBlock["post"],
+  update: UpdateFields,
+): BlogBlock["post"] {
+  return {
+    ...post,
+    ...(update.title !== undefined ? { title: update.title } : {}),
+    ...(update.excerpt !== undefined ? { excerpt: update.excerpt } : {}),
+    ...(update.content !== undefined ? { content: update.content } : {}),
+    ...(update.date !== undefined ? { date: update.date } : {}),
+    ...(update.slug !== undefined ? { slug: update.slug } : {}),
+    ...(update.image !== undefined ? { image: update.image } : {}),
+    ...(update.authors !== undefined ? { authors: update.authors } : {}),
+    ...(update.categories !== undefined
+      ? { categories: update.categories }
+      : {}),
+    ...(update.status !== undefined ? { status: update.status } : {}),
+    ...(update.publishAt !== undefined ? { publishAt: update.publishAt } : {}),
+  };
+}
+
+export function blocksDirPath(): string {
+  // Absolute dir path; files are flat with %2F in names
+  return `${Deno.cwd().replace(/\\/g, "/")}/.deco/blocks/`;
+}
+
+export function blockFilePath(id: string): string {
+  return blocksDirPath() + BLOG_PREFIX_ENC + encodeURIComponent(id) + ".json";
+}
+
+let cached: { signature: string; entries: BlogBlockEntry[] } | null = null;
+
+/**
+ * Reads every blog post block from disk. Results are cached and only
+ * re-read when a block file is added, removed or modified.
+ */
+export async function listBlogBlocks(): Promise<BlogBlockEntry[]> {
+  const dirPath = blocksDirPath();
+  const files: string[] = [];
+  const stamps: string[] = [];
+  for await (const entry of Deno.readDir(dirPath)) {
+    if (!entry.isFile || !entry.name.endsWith(".json")) continue;
+    if (!entry.name.startsWith(BLOG_PREFIX_ENC)) continue;
+    const stat = await Deno.stat(dirPath + entry.name);
+    files.push(entry.name);
+    stamps.push(`${entry.name}:${stat.mtime?.getTime() ?? 0}`);
+  }
+  const signature = stamps.sort().join("|");
+  if (cached?.signature === signature) return cached.entries;
+
+  const entries: BlogBlockEntry[] = [];
+  for (const name of files.sort()) {
+    try {
+      const block = await readJsonPath<BlogBlock>(dirPath + name);
+      if (!block?.post?.slug) continue;
+      entries.push({
+        file: dirPath + name,
+        id: decodeURIComponent(
+          name.slice(BLOG_PREFIX_ENC.length, -".json".length),
+        ),
+        block,
+      });
+    } catch (_) {
+      // ignore malformed files
+    }
+  }
+  cached = { signature, entries };
+  return entries;
+}
+
+export async function findBlockBySlug(
+  slug: string,
+): Promise<BlogBlockEntry | null> {
+  const entries = await listBlogBlocks();
+  return entries.find((entry) => entry.block.post.slug === slug) ?? null;
+}
+
+/** Normalizes a stored block into the `BlogPost` shape the blog sections expect */
+export function toBlogPost(block: BlogBlock): BlogPost {
+  const { post } = block;
+  return {
+    ...post,
+    title: post.title ?? "",
+    excerpt: post.excerpt ?? "",
+    content: post.content ?? "",
+    date: post.date ?? "",
+    authors: post.authors ?? [],
+    categories: post.categories ?? [],
+  } as BlogPost;
+}
+
+/**
+ * Block id for a post match: the urn as given, or the id of the block with
+ * that slug, or else the slug itself (for a new post).
+ */
+export async function resolveBlockId(
+  match: { urn?: string; slug?: string },
+): Promise<string | null> {
+  if (match.urn) return match.urn;
+  if (!match.slug) return null;
+  return (await findBlockBySlug(match.slug))?.id ?? match.slug;
+}
+
+export type PostVisibility = "listed" | "unlisted" | "hidden";
+
+/** Where a post shows up at `now`, from its status and publishAt */
+export function postVisibility(
+  post: { status?: PostStatus; publishAt?: string },
+  now = Date.now(),
+): PostVisibility {
+  const status = post.status ?? "published";
+  if (status === "draft") return "hidden";
+  if (status === "scheduled" && !post.publishAt) return "hidden";
+  // An invalid date parses to NaN and keeps the post hidden
+  if (post.publishAt && !(Date.parse(post.publishAt) <= now)) return "hidden";
+  return status === "unlisted" ? "unlisted" : "listed";
+}
+
+let published: {
+  entries: BlogBlockEntry[];
+  posts: BlogPost[];
+  /** When the next scheduled post comes out */
+  until: number;
+} | null = null;
+
+/**
+ * Listed blog posts, newest first: published, and scheduled ones whose
+ * time has come. The same array is returned until a block file changes or
+ * a scheduled post comes out, so callers can cache on it.
+ */
+export async function getBlogPosts(): Promise<BlogPost[]> {
+  const entries = await listBlogBlocks();
+  const now = Date.now();
+  if (published?.entries === entries && now < published.until) {
+    return published.posts;
+  }
+
+  const posts = entries
+    .filter((entry) => postVisibility(entry.block.post, now) === "listed")
+    .map((entry) => toBlogPost(entry.block))
+    .sort((a, b) => (b.date ?? "").localeCompare(a.date ?? ""));
+  const until = Math.min(
+    ...entries.map((entry) => Date.parse(entry.block.post.publishAt ?? ""))
+      .filter((time) => time > now),
+  );
+  published = { entries, posts, until };
+  return posts;
+}
+
+/** True when the request carries the site's draft preview token */
+export const isPreview = (req: Request, token?: string | null) =>
+  !!token && new URL(req.url).searchParams.get("preview") === token;
+
+const ENTITIES: Record<string, string> = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/** Replaces character references with the characters they stand for */
+export const decodeEntities = (html: string) =>
+  html.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name: string) => {
+    if (!name.startsWith("#")) return ENTITIES[name.toLowerCase()] ?? entity;
+    const code = /^#x/i.test(name)
+      ? parseInt(name.slice(2), 16)
+      : Number(name.slice(1));
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
+
+/** Text of an HTML fragment, for titles and descriptions */
+export const plainText = (html: string) =>
+  decodeEntities(html.replace(/<[^>]*>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+
+/** Cuts `text` at a word boundary so it fits in `length` characters */
+const truncate = (text: string, length: number) =>
+  text.length > length
+    ? `${text.slice(0, length - 1).replace(/\s+\S*$/, "")}…`
+    : text;
+
+/**
+ * Some imported posts have no title. Feeds require one and link previews
+ * show the URL otherwise, so fall back to the start of the text.
+ */
+export const postTitle = (post: BlogPost) =>
+  post.title || truncate(plainText(post.excerpt || post.content || ""), 80);
+
+/** Excerpt, or the start of the text for posts without one */
+export const postDescription = (post: BlogPost) =>
+  post.excerpt || truncate(plainText(post.content || ""), 160);
@@ -0,0 +1,94 @@
+import type { BlogPost } from "apps/blog/types.ts";
+import { plainText } from "site/sdk/blog.ts";
+import { escapeXml } from "site/sdk/feeds.ts";
+import { hashString } from "site/sdk/hash.ts";
+import { highlightCodeBlocks } from "site/sdk/highlight.ts";
+import { readingMinutes, stripHtml } from "site/sdk/language.ts";
+import { postLanguage, tagSlug } from "site/sdk/postFilters.ts";
+
+/**
+ * Render-time processing of post HTML: code blocks are highlighted,
+ * headings get stable ids and anchor links, and the table of contents and
+ * reading time are taken from the same pass so they always match what is
+ * rendered.
+ */
+
+export interface TocEntry {
+  id: string;
+  text: string;
+  /** 1 to 6, from the heading tag */
+  level: number;
+}
+
+export interface PostContent {
+  html: string;
+  /** The two top heading levels used in the post, in document order */
+  toc: TocEntry[];
+  readingMinutes: number;
+}
+
+const HEADING = /<h([1-6])(\s[^>]*)?>([\s\S]*?)<\/h\1>/gi;
+const ID_ATTR = /\sid\s*=\s*"([^"]*)"/i;
+
+/**
+ * Gives every heading an id made from its text (`-2`, `-3`... for repeated
+ * titles) and appends a `#` link to it. Ids already in the HTML are kept.
+ */
+export function anchorHeadings(html: string) {
+  const used = new Set<string>();
+  const headings: TocEntry[] = [];
+
+  const withIds = html.replace(
+    HEADING,
+    (_, level: string, attrs = "", inner: string) => {
+      const text = plainText(inner);
+      let id = attrs.match(ID_ATTR)?.[1];
+      if (!id) {
+        const base = tagSlug(text) || "section";
+        id = base;
+        for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+        attrs = ` id="${id}"${attrs}`;
+      }
+      used.add(id);
+      headings.push({ id, text, level: Number(level) });
+      return `<h${level}${attrs}>${inner}<a href="#${id}" class="heading-anchor" aria-label="Link to ${
+        escapeXml(text)
+      }">#</a></h${level}>`;
+    },
+  );
+  return { html: withIds, headings };
+}
+
+/** Headings of the two top levels used, e.g. h2 and h3 when there is no h1 */
+export function tableOfContents(headings: TocEntry[]): TocEntry[] {
+  const top = Math.min(...headings.map((heading) => heading.level));
+  return headings.filter((heading) => heading.text && heading.level <= top + 1);
+}
+
+export const postReadingMinutes = (
+  post: BlogPost,
+  language = postLanguage(post),
+) => readingMinutes(stripHtml(post.content ?? ""), language);
+
+// Highlighting is the slow part, and posts rarely change between requests
+const CACHE_SIZE = 200;
+const cache = new Map<string, PostContent>();
+
+export function processContent(html: string, language: string): PostContent {
+  const key = `${language}:${html.length}:${hashString(html)}`;
+  const hit = cache.get(key);
+  if (hit) return hit;
+
+  const { html: anchored, headings } = anchorHeadings(
+    highlightCodeBlocks(html),
+  );
+  const content = {
+    html: anchored,
+    toc: tableOfContents(headings),
+    readingMinutes: readingMinutes(stripHtml(html), language),
+  };
+  cache.set(key, content);
+  // Maps keep insertion order, so the first key is the oldest entry
+  if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value!);
+  return content;
+}
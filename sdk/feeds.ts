@@ -0,0 +1,206 @@
+import type { BlogPost } from "apps/blog/types.ts";
+import { postTitle } from "site/sdk/blog.ts";
+import { postImage } from "site/sdk/ogImage.ts";
+import { isVisibleCategory } from "site/sdk/postFilters.ts";
+import { sanitizePostHtml } from "site/sdk/sanitize.ts";
+
+/**
+ * RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents for a list of posts. All
+ * three carry the full post HTML, the authors and the categories.
+ */
+
+export type FeedFormat = "rss" | "atom" | "json";
+
+export interface FeedInfo {
+  title: string;
+  description: string;
+  /** Site origin, e.g. https://vibegui.com */
+  siteUrl: string;
+  /** Absolute URL of the feed itself */
+  feedUrl: string;
+  /** Absolute URL of the HTML page listing the same posts */
+  homeUrl: string;
+  language?: string;
+  /** Feed author, used when a post has none */
+  author?: string;
+}
+
+export const FEED_CONTENT_TYPES: Record<FeedFormat, string> = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+export const FEED_PATHS: Record<FeedFormat, string> = {
+  rss: "/feed.xml",
+  atom: "/atom.xml",
+  json: "/feed.json",
+};
+
+export const escapeXml = (text: string) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// CDATA cannot contain "]]>", so it is split across two sections
+const cdata = (text: string) =>
+  `<![CDATA[${text.replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+export const postUrl = (info: FeedInfo, post: BlogPost) =>
+  `${info.siteUrl}/blog/${post.slug}`;
+
+// Feed readers render the HTML too
+const content = (post: BlogPost) =>
+  sanitizePostHtml(post.content ?? "", `feed ${post.slug}`);
+
+const categories = (post: BlogPost) =>
+  (post.categories ?? []).filter(isVisibleCategory);
+
+const authorNames = (info: FeedInfo, post: BlogPost) => {
+  const names = (post.authors ?? []).map((author) => author.name).filter(
+    Boolean,
+  );
+  return names.length ? names : info.author ? [info.author] : [];
+};
+
+// Posts only carry a day; publish them at noon UTC so the date is the same
+// in every timezone
+const postDate = (post: BlogPost) => {
+  const date = new Date(`${(post.date ?? "").slice(0, 10)}T12:00:00Z`);
+  return isNaN(date.getTime()) ? new Date(0) : date;
+};
+
+const lastUpdated = (posts: BlogPost[]) =>
+  posts.reduce(
+    (latest, post) => postDate(post) > latest ? postDate(post) : latest,
+    new Date(0),
+  );
+
+export function toRss(info: FeedInfo, posts: BlogPost[]): string {
+  const items = posts.map((post) => {
+    const url = postUrl(info, post);
+    return [
+      "<item>",
+      `<title>${escapeXml(postTitle(post))}</title>`,
+      `<link>${escapeXml(url)}</link>`,
+      `<guid isPermaLink="true">${escapeXml(url)}</guid>`,
+      `<pubDate>${postDate(post).toUTCString()}</pubDate>`,
+      `<description>${escapeXml(post.excerpt ?? "")}</description>`,
+      `<content:encoded>${cdata(content(post))}</content:encoded>`,
+      ...authorNames(info, post).map((name) =>
+        `<dc:creator>${escapeXml(name)}</dc:creator>`
+      ),
+      ...categories(post).map((category) =>
+        `<category domain="${
+          escapeXml(`${info.siteUrl}/blog/category/${category.slug}`)
+        }">${escapeXml(category.name)}</category>`
+      ),
+      "</item>",
+    ].join("");
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">`,
+    "<channel>",
+    `<title>${escapeXml(info.title)}</title>`,
+    `<link>${escapeXml(info.homeUrl)}</link>`,
+    `<description>${escapeXml(info.description)}</description>`,
+    `<atom:link href="${
+      escapeXml(info.feedUrl)
+    }" rel="self" type="application/rss+xml"/>`,
+    info.language ? `<language>${escapeXml(info.language)}</language>` : "",
+    `<lastBuildDate>${lastUpdated(posts).toUTCString()}</lastBuildDate>`,
+    ...items,
+    "</channel>",
+    "</rss>",
+  ].join("\n");
+}
+
+export function toAtom(info: FeedInfo, posts: BlogPost[]): string {
+  const entries = posts.map((post) => {
+    const url = postUrl(info, post);
+    const date = postDate(post).toISOString();
+    return [
+      "<entry>",
+      `<id>${escapeXml(url)}</id>`,
+      `<title type="text">${escapeXml(postTitle(post))}</title>`,
+      `<link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+      `<published>${date}</published>`,
+      `<updated>${date}</updated>`,
+      ...authorNames(info, post).map((name) =>
+        `<author><name>${escapeXml(name)}</name></author>`
+      ),
+      ...categories(post).map((category) =>
+        `<category term="${escapeXml(category.slug)}" label="${
+          escapeXml(category.name)
+        }"/>`
+      ),
+      `<summary type="text">${escapeXml(post.excerpt ?? "")}</summary>`,
+      `<content type="html">${escapeXml(content(post))}</content>`,
+      "</entry>",
+    ].join("");
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom"${
+      info.language ? ` xml:lang="${escapeXml(info.language)}"` : ""
+    }>`,
+    `<id>${escapeXml(info.feedUrl)}</id>`,
+    `<title type="text">${escapeXml(info.title)}</title>`,
+    `<subtitle type="text">${escapeXml(info.description)}</subtitle>`,
+    `<updated>${lastUpdated(posts).toISOString()}</updated>`,
+    `<link rel="self" type="application/atom+xml" href="${
+      escapeXml(info.feedUrl)
+    }"/>`,
+    `<link rel="alternate" type="text/html" href="${
+      escapeXml(info.homeUrl)
+    }"/>`,
+    // Atom requires an author on the feed or on every entry
+    info.author
+      ? `<author><name>${escapeXml(info.author)}</name></author>`
+      : "",
+    ...entries,
+    "</feed>",
+  ].join("\n");
+}
+
+export function toJsonFeed(info: FeedInfo, posts: BlogPost[]): string {
+  return JSON.stringify(
+    {
+      version: "https://jsonfeed.org/version/1.1",
+      title: info.title,
+      description: info.description,
+      home_page_url: info.homeUrl,
+      feed_url: info.feedUrl,
+      ...(info.language ? { language: info.language } : {}),
+      ...(info.author ? { authors: [{ name: info.author }] } : {}),
+      items: posts.map((post) => ({
+        id: postUrl(info, post),
+        url: postUrl(info, post),
+        title: postTitle(post),
+        summary: post.excerpt ?? "",
+        content_html: content(post),
+        image: new URL(postImage(post), info.siteUrl).href,
+        date_published: postDate(post).toISOString(),
+        authors: authorNames(info, post).map((name) => ({ name })),
+        tags: categories(post).map((category) => category.name),
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+export const FEED_BUILDERS: Record<
+  FeedFormat,
+  (info: FeedInfo, posts: BlogPost[]) => string
+> = {
+  rss: toRss,
+  atom: toAtom,
+  json: toJsonFeed,
+};
@@ -0,0 +1,57 @@
+/**
+ * Multi-image posts keep their images in the content as a
+ * `<figure data-gallery>` of plain `<img>` tags, which reads fine anywhere
+ * the HTML ends up (feeds, the MCP tools) and is rendered as a carousel by
+ * the BlogPost section.
+ */
+
+export interface GalleryImage {
+  src: string;
+  alt: string;
+}
+
+export type ContentSegment =
+  | { type: "html"; html: string }
+  | { type: "gallery"; images: GalleryImage[] };
+
+const GALLERY = /<figure\s[^>]*data-gallery[^>]*>([\s\S]*?)<\/figure>/gi;
+const IMG = /<img\s[^>]*>/gi;
+
+const escapeAttr = (value: string) =>
+  value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+
+const unescapeAttr = (value: string) =>
+  value.replace(/&quot;/g, '"').replace(/&lt;/g, "<").replace(/&amp;/g, "&");
+
+const attr = (tag: string, name: string) => {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`, "i"));
+  return match ? unescapeAttr(match[1]) : "";
+};
+
+export function galleryHtml(images: string[], alt = ""): string {
+  const tags = images.map((src) =>
+    `<img src="${escapeAttr(src)}" alt="${escapeAttr(alt)}">`
+  );
+  return `<figure data-gallery>${tags.join("")}</figure>`;
+}
+
+/** Splits post HTML around its galleries so they can be rendered as components */
+export function splitGalleries(html: string): ContentSegment[] {
+  const segments: ContentSegment[] = [];
+  let last = 0;
+  for (const match of html.matchAll(GALLERY)) {
+    const images = (match[1].match(IMG) ?? [])
+      .map((tag) => ({ src: attr(tag, "src"), alt: attr(tag, "alt") }))
+      .filter((image) => image.src);
+    if (!images.length) continue;
+    if (match.index! > last) {
+      segments.push({ type: "html", html: html.slice(last, match.index) });
+    }
+    segments.push({ type: "gallery", images });
+    last = match.index! + match[0].length;
+  }
+  if (last < html.length) {
+    segments.push({ type: "html", html: html.slice(last) });
+  }
+  return segments;
+}
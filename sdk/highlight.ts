@@ -0,0 +1,123 @@
+import hljs from "highlight.js/lib/core";
+import bash from "highlight.js/lib/languages/bash";
+import css from "highlight.js/lib/languages/css";
+import diff from "highlight.js/lib/languages/diff";
+import dockerfile from "highlight.js/lib/languages/dockerfile";
+import javascript from "highlight.js/lib/languages/javascript";
+import json from "highlight.js/lib/languages/json";
+import python from "highlight.js/lib/languages/python";
+import sql from "highlight.js/lib/languages/sql";
+import typescript from "highlight.js/lib/languages/typescript";
+import xml from "highlight.js/lib/languages/xml";
+import yaml from "highlight.js/lib/languages/yaml";
+import { decodeEntities } from "site/sdk/blog.ts";
+import { escapeXml } from "site/sdk/feeds.ts";
+
+/**
+ * Syntax highlighting for `<pre>` blocks in post HTML, done when the post is
+ * rendered so no highlighter ships to the browser. Tokens become
+ * `<span class="hljs-*">`, colored from the theme by the BlogPost section.
+ */
+
+const LANGUAGES = {
+  bash,
+  css,
+  diff,
+  dockerfile,
+  javascript,
+  json,
+  python,
+  sql,
+  typescript,
+  xml,
+  yaml,
+};
+for (const [name, language] of Object.entries(LANGUAGES)) {
+  hljs.registerLanguage(name, language);
+}
+
+// Auto-detection picks from these; xml and diff match too much by accident
+const AUTO_LANGUAGES = [
+  "typescript",
+  "javascript",
+  "bash",
+  "json",
+  "python",
+  "css",
+  "sql",
+  "yaml",
+  "dockerfile",
+];
+// Below this, highlightAuto is guessing: plain text reads better
+const MIN_RELEVANCE = 5;
+
+const LANGUAGE_CLASS = /(?:^|\s)(?:language|lang)-([\w+#.-]+)/i;
+const SHELL_START =
+  /^(\$ |#!.*\b(ba|z)?sh\b|(npm|npx|deno|bun|yarn|pnpm|git|curl|cd|brew|docker|wrangler) )/;
+
+/**
+ * Language of a code block: from a `language-*` class when there is one,
+ * otherwise guessed from the code. Null when unknown.
+ */
+export function codeLanguage(code: string, classes = ""): string | null {
+  const named = classes.match(LANGUAGE_CLASS)?.[1].toLowerCase();
+  if (named) return hljs.getLanguage(named) ? named : null;
+
+  const start = code.trimStart();
+  if (SHELL_START.test(start)) return "bash";
+  if (/^[{[]/.test(start)) {
+    try {
+      JSON.parse(code);
+      return "json";
+    } catch (_) {
+      // not JSON, let the auto-detection try
+    }
+  }
+  const guess = hljs.highlightAuto(code, AUTO_LANGUAGES);
+  return guess.relevance >= MIN_RELEVANCE ? guess.language ?? null : null;
+}
+
+/** Display name of a language or alias, e.g. "ts" -> "TypeScript" */
+export const languageLabel = (language: string) =>
+  hljs.getLanguage(language)?.name ?? language;
+
+export function highlightCode(code: string, classes = "") {
+  const language = codeLanguage(code, classes);
+  return {
+    language,
+    html: language
+      ? hljs.highlight(code, { language, ignoreIllegals: true }).value
+      : escapeXml(code),
+  };
+}
+
+const PRE = /<pre(\s[^>]*)?>([\s\S]*?)<\/pre>/gi;
+const CODE = /^\s*<code(\s[^>]*)?>([\s\S]*?)<\/code>\s*$/i;
+const CLASS_ATTR = /\sclass\s*=\s*"([^"]*)"/i;
+
+/**
+ * Highlights every `<pre>` block and wraps it with a header holding the
+ * language and a copy button (wired up by the BlogPost section).
+ */
+export function highlightCodeBlocks(html: string): string {
+  return html.replace(PRE, (_, preAttrs = "", inner: string) => {
+    const code = inner.match(CODE);
+    const classes = [preAttrs, code?.[1] ?? ""]
+      .map((attrs) => attrs.match(CLASS_ATTR)?.[1] ?? "")
+      .join(" ");
+    const text = decodeEntities(
+      (code?.[2] ?? inner).replace(/<br\s*\/?>/gi, "\n").replace(
+        /<[^>]*>/g,
+        "",
+      ),
+    ).replace(/^\n+|\s+$/g, "");
+    const { language, html: highlighted } = highlightCode(text, classes);
+    const label = language ? languageLabel(language) : "";
+
+    return `<div class="code-block"><div class="code-header"><span>${
+      escapeXml(label)
+    }</span><button type="button" class="code-copy" data-copy-code>Copy</button></div><pre><code class="hljs${
+      language ? ` language-${language}` : ""
+    }">${highlighted}</code></pre></div>`;
+  });
+}
@@ -0,0 +1,115 @@
+import { extract, test } from "@std/front-matter/yaml";
+import { Marked } from "marked";
+import type {
+  Author,
+  Category,
+  PostStatus,
+  UpdateFields,
+} from "site/sdk/blog.ts";
+import { tagSlug } from "site/sdk/postFilters.ts";
+
+/**
+ * Markdown posts: YAML frontmatter for the post fields and a GitHub-flavored
+ * Markdown body, converted to the HTML the BlogPost section styles (headings,
+ * lists, blockquotes, images and `<pre><code class="language-*">` blocks).
+ *
+ *   ---
+ *   title: Breakthrough workflow
+ *   excerpt: How we got there
+ *   date: 2025-07-24
+ *   categories: [AI, Engineering]
+ *   status: scheduled
+ *   publishAt: 2025-07-24T12:00:00Z
+ *   image: https://example.com/cover.png
+ *   ---
+ *   Body...
+ */
+
+export interface MarkdownFrontmatter {
+  title?: string;
+  excerpt?: string;
+  /** Alias of excerpt */
+  description?: string;
+  date?: string | Date;
+  slug?: string;
+  image?: string;
+  categories?: (string | Category)[];
+  /** Alias of categories */
+  tags?: (string | Category)[];
+  author?: string | Author;
+  authors?: (string | Author)[];
+  status?: PostStatus;
+  publishAt?: string | Date;
+}
+
+export interface MarkdownPost {
+  fields: UpdateFields;
+  frontmatter: MarkdownFrontmatter;
+}
+
+const marked = new Marked({ gfm: true, async: false });
+
+export const markdownToHtml = (markdown: string) =>
+  marked.parse(markdown) as string;
+
+const toCategory = (category: string | Category): Category =>
+  typeof category === "string"
+    ? { name: category, slug: tagSlug(category) }
+    : { name: category.name, slug: category.slug || tagSlug(category.name) };
+
+const toAuthor = (author: string | Author): Author =>
+  typeof author === "string" ? { name: author, email: "" } : author;
+
+// YAML reads unquoted dates as Date objects, and rolls days that do not
+// exist over (2025-02-30 becomes March 2nd): keep the date as written, so
+// validateUpdate can reject it
+const toDate = (date: string | Date, frontMatter: string) =>
+  date instanceof Date
+    ? frontMatter.match(/^date:\s*(\d{4}-\d{2}-\d{2})\s*$/m)?.[1] ??
+      date.toISOString().slice(0, 10)
+    : String(date);
+
+/**
+ * Post fields from a Markdown file. Only fields present in the file are
+ * set, so the result can go through applyUpdate like any other update.
+ * Without a title in the frontmatter, a leading `# Heading` is used (and
+ * removed from the body, since the page already shows the title).
+ */
+export function parseMarkdownPost(source: string): MarkdownPost {
+  const { attrs, body, frontMatter } = test(source)
+    ? extract<MarkdownFrontmatter>(source)
+    : { attrs: {} as MarkdownFrontmatter, body: source, frontMatter: "" };
+
+  let markdown = body;
+  let title = attrs.title;
+  const heading = markdown.match(/^\s*#\s+(.+?)\s*#*\s*(?:\n|$)/);
+  if (!title && heading) {
+    title = heading[1];
+    markdown = markdown.slice(heading[0].length);
+  }
+
+  const categories = attrs.categories ?? attrs.tags;
+  const authors = attrs.authors ?? (attrs.author ? [attrs.author] : undefined);
+  const excerpt = attrs.excerpt ?? attrs.description;
+  const fields: UpdateFields = {
+    content: markdownToHtml(markdown),
+    ...(title !== undefined ? { title: String(title) } : {}),
+    ...(excerpt !== undefined ? { excerpt: String(excerpt) } : {}),
+    ...(attrs.date !== undefined
+      ? { date: toDate(attrs.date, frontMatter) }
+      : {}),
+    ...(attrs.slug ? { slug: tagSlug(String(attrs.slug)) } : {}),
+    ...(attrs.image ? { image: String(attrs.image) } : {}),
+    ...(categories ? { categories: categories.map(toCategory) } : {}),
+    ...(authors ? { authors: authors.map(toAuthor) } : {}),
+    ...(attrs.status ? { status: attrs.status } : {}),
+    ...(attrs.publishAt !== undefined
+      ? {
+        publishAt: attrs.publishAt instanceof Date
+          ? attrs.publishAt.toISOString()
+          : String(attrs.publishAt),
+      }
+      : {}),
+  };
+  return { fields, frontmatter: attrs };
+}
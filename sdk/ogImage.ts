@@ -0,0 +1,215 @@
+import type { BlogPost } from "apps/blog/types.ts";
+import { blocksDirPath, postDescription, postTitle } from "site/sdk/blog.ts";
+import { escapeXml } from "site/sdk/feeds.ts";
+import { hashString } from "site/sdk/hash.ts";
+
+/**
+ * Share cards for posts without an image: a 1200x630 SVG with the title,
+ * excerpt and author in the site palette, rasterized to PNG by
+ * handlers/ogImage.ts for the social networks that do not take SVG.
+ */
+
+export const OG_WIDTH = 1200;
+export const OG_HEIGHT = 630;
+/** Bump when the layout changes so cached cards are regenerated */
+export const OG_CARD_VERSION = 1;
+
+export type CardFormat = "png" | "svg";
+
+/** Route template for the cards, e.g. /og/7354249066018390022.png */
+export const OG_PATH_TEMPLATE = "/og/:file";
+export const OG_PATH_PATTERN = /^\/og\/(.+)\.(png|svg)$/;
+
+export const CARD_FONTS = {
+  title: "Crimson Pro",
+  brand: "Pixelify Sans",
+};
+
+export interface CardPalette {
+  background: string;
+  text: string;
+  muted: string;
+  primary: string;
+  secondary: string;
+  accent: string;
+}
+
+/** The colors of the Neutral theme, used until the site theme is read */
+export const DEFAULT_PALETTE: CardPalette = {
+  background: "#f0fdf4",
+  text: "#1f2937",
+  muted: "#374151",
+  primary: "#166534",
+  secondary: "#86efac",
+  accent: "#22c55e",
+};
+
+export interface CardContent {
+  title: string;
+  excerpt: string;
+  author: string;
+  date: string;
+}
+
+export const cardContent = (post: BlogPost): CardContent => ({
+  title: postTitle(post),
+  // Untitled posts already show the start of the text as their title
+  excerpt: post.title ? postDescription(post) : "",
+  author: (post.authors ?? []).map((author) => author.name).join(", "),
+  date: (post.date ?? "").slice(0, 10),
+});
+
+const cardVersion = (post: BlogPost) =>
+  hashString(JSON.stringify([OG_CARD_VERSION, cardContent(post)]));
+
+/** Path of the generated card; the query changes whenever the card does */
+export const ogImagePath = (post: BlogPost, format: CardFormat = "png") =>
+  `/og/${encodeURIComponent(post.slug)}.${format}?v=${cardVersion(post)}`;
+
+/** The post image, or its generated card when it has none */
+export const postImage = (post: BlogPost) => post.image || ogImagePath(post);
+
+let palette: Promise<CardPalette> | null = null;
+
+/**
+ * Card colors from the theme block the site uses (see
+ * sections/Theme/Theme.tsx), read once from .deco/blocks.
+ */
+export function loadPalette(): Promise<CardPalette> {
+  palette ??= (async () => {
+    try {
+      const dir = blocksDirPath();
+      const site = JSON.parse(await Deno.readTextFile(`${dir}site.json`));
+      const name = site?.theme?.__resolveType;
+      const theme = name
+        ? JSON.parse(
+          await Deno.readTextFile(`${dir}${encodeURIComponent(name)}.json`),
+        )
+        : site?.theme;
+      const colors = { ...theme?.mainColors, ...theme?.complementaryColors };
+      return {
+        background: colors["base-100"] ?? DEFAULT_PALETTE.background,
+        text: colors["base-content"] ?? DEFAULT_PALETTE.text,
+        muted: colors.neutral ?? DEFAULT_PALETTE.muted,
+        primary: colors.primary ?? DEFAULT_PALETTE.primary,
+        secondary: colors.secondary ?? DEFAULT_PALETTE.secondary,
+        accent: colors.tertiary ?? DEFAULT_PALETTE.accent,
+      };
+    } catch (_) {
+      return DEFAULT_PALETTE;
+    }
+  })();
+  return palette;
+}
+
+/**
+ * Breaks `text` into at most `maxLines` lines of about `maxChars`
+ * characters, with an ellipsis when it does not fit. SVG has no text
+ * layout, so line length is estimated from the font size.
+ */
+export function wrapText(text: string, maxChars: number, maxLines: number) {
+  const lines: string[] = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const last = lines.at(-1);
+    if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(
+        word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word,
+      );
+    }
+  }
+  if (lines.length <= maxLines) return lines;
+
+  const kept = lines.slice(0, maxLines);
+  const last = kept[maxLines - 1];
+  kept[maxLines - 1] = `${
+    last.length < maxChars ? last : last.replace(/\s+\S*$/, "")
+  }…`;
+  return kept;
+}
+
+// Average glyph width relative to the font size
+const CHAR_WIDTH = { title: 0.47, body: 0.45 };
+const PADDING = 80;
+
+const textLines = (
+  lines: string[],
+  { x, y, size, lineHeight, attrs }: {
+    x: number;
+    y: number;
+    size: number;
+    lineHeight: number;
+    attrs: string;
+  },
+) =>
+  lines.map((line, i) =>
+    `<text x="${x}" y="${
+      y + i * size * lineHeight
+    }" font-size="${size}" ${attrs}>${escapeXml(line)}</text>`
+  ).join("");
+
+export function renderCardSvg(
+  content: CardContent,
+  colors: CardPalette = DEFAULT_PALETTE,
+): string {
+  const width = OG_WIDTH - 2 * PADDING;
+  const titleSize = content.title.length > 60 ? 60 : 72;
+  const title = wrapText(
+    content.title,
+    Math.floor(width / (titleSize * CHAR_WIDTH.title)),
+    3,
+  );
+  const bodySize = 32;
+  const titleTop = 210;
+  const bodyTop = titleTop + title.length * titleSize * 1.1 + 30;
+  const excerpt = content.excerpt
+    ? wrapText(
+      content.excerpt,
+      Math.floor(width / (bodySize * CHAR_WIDTH.body)),
+      title.length > 2 ? 1 : 2,
+    )
+    : [];
+  const byline = [content.author, content.date].filter(Boolean).join("  ·  ");
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_WIDTH}" height="${OG_HEIGHT}" viewBox="0 0 ${OG_WIDTH} ${OG_HEIGHT}">`,
+    `<rect width="100%" height="100%" fill="${colors.background}"/>`,
+    `<rect width="24" height="100%" fill="${colors.primary}"/>`,
+    // Pixel blocks in the corner, after the Pixelify Sans hero
+    ...[[0, 0], [1, 0], [1, 1], [2, 1], [2, 2]].map(([col, row], i) =>
+      `<rect x="${OG_WIDTH - PADDING - 3 * 36 + col * 36}" y="${
+        PADDING - 24 + row * 36
+      }" width="32" height="32" fill="${
+        i % 2 ? colors.accent : colors.secondary
+      }"/>`
+    ),
+    `<text x="${PADDING}" y="${
+      PADDING + 20
+    }" font-family="${CARD_FONTS.brand}" font-size="40" font-weight="700" fill="${colors.primary}">vibegui.com</text>`,
+    textLines(title, {
+      x: PADDING,
+      y: titleTop,
+      size: titleSize,
+      lineHeight: 1.1,
+      attrs:
+        `font-family="${CARD_FONTS.title}" font-weight="600" fill="${colors.text}"`,
+    }),
+    textLines(excerpt, {
+      x: PADDING,
+      y: bodyTop,
+      size: bodySize,
+      lineHeight: 1.35,
+      attrs: `font-family="${CARD_FONTS.title}" fill="${colors.muted}"`,
+    }),
+    `<rect x="${PADDING}" y="${
+      OG_HEIGHT - PADDING - 44
+    }" width="${width}" height="2" fill="${colors.secondary}"/>`,
+    `<text x="${PADDING}" y="${
+      OG_HEIGHT - PADDING
+    }" font-family="${CARD_FONTS.brand}" font-size="28" fill="${colors.primary}">${
+      escapeXml(byline)
+    }</text>`,
+    "</svg>",
+  ].join("\n");
+}
@@ -0,0 +1,143 @@
+import type { BlogPost } from "apps/blog/types.ts";
+import { detectLanguage, stripHtml } from "site/sdk/language.ts";
+
+/** Facets a post listing can be narrowed by; all of them live in the URL */
+export interface PostFilters {
+  category?: string;
+  tag?: string;
+  year?: string;
+  lang?: string;
+}
+
+export interface FacetValue {
+  value: string;
+  label: string;
+  count: number;
+}
+
+export interface PostFacets {
+  categories: FacetValue[];
+  years: FacetValue[];
+  languages: FacetValue[];
+}
+
+export const FILTER_PARAMS = ["category", "tag", "year", "lang"] as const;
+
+/** Categories every imported post has, which say nothing about the post */
+const HIDDEN_CATEGORIES = new Set(["linkedin"]);
+
+export const isVisibleCategory = (category: { name?: string; slug?: string }) =>
+  !HIDDEN_CATEGORIES.has((category.slug || "").toLowerCase()) &&
+  !HIDDEN_CATEGORIES.has((category.name || "").toLowerCase());
+
+export const tagSlug = (tag: string) =>
+  tag
+    .normalize("NFD").replace(/\p{Diacritic}/gu, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/(^-|-$)/g, "");
+
+const languages = new Map<string, string>();
+
+/** Original language of a post, detected from its content */
+export function postLanguage(post: BlogPost): string {
+  const key = `${post.slug}:${post.content?.length ?? 0}`;
+  let language = languages.get(key);
+  if (!language) {
+    language = detectLanguage(post.content ?? "");
+    languages.set(key, language);
+  }
+  return language;
+}
+
+export const postYear = (post: BlogPost) => (post.date ?? "").slice(0, 4);
+
+const HASHTAG = /(?<![\p{L}\p{N}_&/])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+
+/** Hashtags written in the post, e.g. #AI */
+export function postTags(post: BlogPost): string[] {
+  const text = stripHtml(post.content ?? "");
+  const tags = new Map<string, string>();
+  for (const [, tag] of text.matchAll(HASHTAG)) {
+    const slug = tagSlug(tag);
+    if (!tags.has(slug)) tags.set(slug, tag);
+  }
+  return [...tags.values()];
+}
+
+export function filtersFromUrl(url: URL): PostFilters {
+  const filters: PostFilters = {};
+  for (const param of FILTER_PARAMS) {
+    const value = url.searchParams.get(param)?.trim();
+    if (value) filters[param] = value;
+  }
+  return filters;
+}
+
+export function matchesFilters(post: BlogPost, filters: PostFilters): boolean {
+  if (
+    filters.category &&
+    !post.categories?.some((category) => category.slug === filters.category)
+  ) return false;
+  if (
+    filters.tag &&
+    !postTags(post).some((tag) => tagSlug(tag) === filters.tag)
+  ) return false;
+  if (filters.year && postYear(post) !== filters.year) return false;
+  if (filters.lang && postLanguage(post) !== filters.lang) return false;
+  return true;
+}
+
+export const filterPosts = (posts: BlogPost[], filters: PostFilters) =>
+  posts.filter((post) => matchesFilters(post, filters));
+
+function count(entries: Array<[string, string]>): FacetValue[] {
+  const values = new Map<string, FacetValue>();
+  for (const [value, label] of entries) {
+    const facet = values.get(value) ?? { value, label, count: 0 };
+    facet.count++;
+    values.set(value, facet);
+  }
+  return [...values.values()];
+}
+
+/** Values present in `posts` for each facet, with post counts */
+export function postFacets(posts: BlogPost[]): PostFacets {
+  return {
+    categories: count(
+      posts.flatMap((post) =>
+        (post.categories ?? [])
+          .filter(isVisibleCategory)
+          .map((category): [string, string] => [category.slug, category.name])
+      ),
+    ).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)),
+    years: count(
+      posts
+        .map(postYear)
+        .filter(Boolean)
+        .map((year): [string, string] => [year, year]),
+    ).sort((a, b) => b.value.localeCompare(a.value)),
+    languages: count(
+      posts.map((post): [string, string] => {
+        const language = postLanguage(post);
+        return [language, language];
+      }),
+    ).sort((a, b) => b.count - a.count),
+  };
+}
+
+/**
+ * URL of the current listing with one filter changed. Resets pagination,
+ * since the current page may not exist in the new result set.
+ */
+export function filterUrl(
+  current: URL,
+  param: typeof FILTER_PARAMS[number],
+  value?: string,
+): string {
+  const url = new URL(current);
+  if (value) url.searchParams.set(param, value);
+  else url.searchParams.delete(param);
+  url.searchParams.delete("page");
+  return `${url.pathname}${url.search}`;
+}
@@ -0,0 +1,162 @@
+import type { PostStatus, UpdateFields } from "site/sdk/blog.ts";
+
+/**
+ * Strict validation of post updates, run by UpsertBlogPost before anything
+ * is written. Problems come back as a list of issues, one per field, so an
+ * MCP client can fix them all in one go.
+ */
+
+export interface FieldIssue {
+  /** Path of the field, e.g. "date" or "authors[0].name" */
+  field: string;
+  message: string;
+}
+
+export type UpsertErrorCode =
+  /** The update does not match the schema, see `issues` */
+  | "invalid"
+  /** The post changed since `expectedRevision`: read it again and retry */
+  | "stale"
+  /** Another post already has the slug */
+  | "slug_taken";
+
+export class UpsertError extends Error {
+  constructor(
+    public code: UpsertErrorCode,
+    message: string,
+    public issues: FieldIssue[] = [],
+  ) {
+    super(
+      issues.length
+        ? `${message}: ${
+          issues.map(({ field, message }) => `${field} ${message}`).join("; ")
+        }`
+        : message,
+    );
+    this.name = "UpsertError";
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, issues: this.issues };
+  }
+}
+
+export const POST_STATUSES: PostStatus[] = [
+  "draft",
+  "scheduled",
+  "published",
+  "unlisted",
+];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+// Lowercase words separated by dashes, as made by tagSlug; LinkedIn urns
+// are all digits
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const isString = (value: unknown): value is string => typeof value === "string";
+
+/** YYYY-MM-DD and a real day, so 2025-02-30 is rejected */
+const isDate = (value: string) =>
+  DATE.test(value) &&
+  new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+/** Absolute http(s) URLs, or paths on this site */
+function isImageUrl(value: string) {
+  if (value.startsWith("/") && !value.startsWith("//")) return true;
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (_) {
+    return false;
+  }
+}
+
+type Check = (value: unknown, field: string, issues: FieldIssue[]) => void;
+
+const string =
+  (test?: (value: string) => boolean, expected?: string): Check =>
+  (value, field, issues) => {
+    if (!isString(value)) {
+      issues.push({ field, message: "must be a string" });
+    } else if (test && !test(value)) {
+      issues.push({ field, message: `must be ${expected}, got "${value}"` });
+    }
+  };
+
+const list =
+  (fields: Record<string, Check>, required: string[]): Check =>
+  (value, field, issues) => {
+    if (!Array.isArray(value)) {
+      issues.push({ field, message: "must be an array" });
+      return;
+    }
+    value.forEach((item, i) => {
+      if (!item || typeof item !== "object" || Array.isArray(item)) {
+        issues.push({ field: `${field}[${i}]`, message: "must be an object" });
+        return;
+      }
+      checkObject(
+        item as Record<string, unknown>,
+        fields,
+        issues,
+        `${field}[${i}].`,
+      );
+      for (const key of required) {
+        if (!(item as Record<string, unknown>)[key]) {
+          issues.push({
+            field: `${field}[${i}].${key}`,
+            message: "is required",
+          });
+        }
+      }
+    });
+  };
+
+const UPDATE_FIELDS: Record<keyof UpdateFields, Check> = {
+  title: string(),
+  excerpt: string(),
+  content: string(),
+  date: string(isDate, "a YYYY-MM-DD date"),
+  slug: string(
+    (value) => SLUG.test(value),
+    "lowercase letters, digits and dashes",
+  ),
+  image: string(
+    (value) => value === "" || isImageUrl(value),
+    "an http(s) URL or a path",
+  ),
+  authors: list({ name: string(), email: string() }, ["name"]),
+  categories: list({
+    name: string(),
+    slug: string((value) => SLUG.test(value), 'a slug like "ai-agents"'),
+  }, ["name", "slug"]),
+  status: string(
+    (value) => POST_STATUSES.includes(value as PostStatus),
+    POST_STATUSES.join(", "),
+  ),
+  publishAt: string(
+    (value) => !isNaN(Date.parse(value)),
+    "an ISO date-time",
+  ),
+};
+
+function checkObject(
+  value: Record<string, unknown>,
+  fields: Record<string, Check>,
+  issues: FieldIssue[],
+  prefix = "",
+) {
+  for (const [key, item] of Object.entries(value)) {
+    const check = fields[key];
+    if (!check) issues.push({ field: prefix + key, message: "is not a field" });
+    else if (item !== undefined) check(item, prefix + key, issues);
+  }
+}
+
+/** Every problem with an update; empty when it can be applied */
+export function validateUpdate(update: unknown): FieldIssue[] {
+  if (!update || typeof update !== "object" || Array.isArray(update)) {
+    return [{ field: "update", message: "must be an object" }];
+  }
+  const issues: FieldIssue[] = [];
+  checkObject(update as Record<string, unknown>, UPDATE_FIELDS, issues);
+  return issues;
+}
@@ -0,0 +1,259 @@
+/**
+ * Reconciles the blog post blocks in .deco/blocks with the D1 `posts` and
+ * `post_metadata` tables of the vibegui-internal server. Both sides are
+ * reduced to SyncRecords, compared by slug and content hash, and planned
+ * into actions; scripts/sync_d1.ts applies the block side and the
+ * SYNC_BLOG_POSTS tool the D1 side.
+ *
+ * D1 keeps post content as plain text, so content is compared as text,
+ * and D1 content never replaces the HTML of an existing block: when D1 would
+ * win with different content, the slug is a conflict to resolve by hand.
+ *
+ * No dependencies: the MCP server in vibegui-internal imports this file too.
+ */
+
+export interface SyncRecord {
+  slug: string;
+  title: string;
+  excerpt: string;
+  /** Plain text, see htmlToText */
+  content: string;
+  /** YYYY-MM-DD */
+  date: string;
+  authorName: string;
+  authorEmail: string;
+  /** Original language, needed to create the D1 row */
+  language?: string;
+  /** Not editorial: copied along, but not compared */
+  interactionCount?: number;
+}
+
+/**
+ * - blocks-to-db: blocks win, D1 is created or updated to match
+ * - db-to-blocks: D1 wins, blocks are created or updated to match
+ * - both: each side gets the other's changes since the last sync
+ */
+export type SyncDirection = "blocks-to-db" | "db-to-blocks" | "both";
+
+/** Which side wins when both changed since the last sync */
+export type ConflictRule = "blocks" | "db" | "skip";
+
+export type SyncActionKind =
+  | "create-db"
+  | "update-db"
+  | "create-block"
+  | "update-block"
+  | "conflict"
+  | "skip";
+
+export interface SyncAction {
+  slug: string;
+  kind: SyncActionKind;
+  /** D1 slug of a post that was renamed in blocks to `slug` */
+  renamedFrom?: string;
+  /** Fields that differ between the two sides */
+  fields: string[];
+  reason: string;
+}
+
+export interface SyncPlan {
+  actions: SyncAction[];
+  inSync: number;
+  /** Hash of every slug after the plan is applied, for the next run */
+  base: Record<string, string>;
+}
+
+export const COMPARED_FIELDS = [
+  "title",
+  "excerpt",
+  "content",
+  "date",
+  "authorName",
+  "authorEmail",
+] as const;
+
+const ENTITIES: Record<string, string> = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+// Tags that end a paragraph of text
+const BLOCK_TAG =
+  /<\/?(?:p|div|h[1-6]|ul|ol|li|dl|dt|dd|blockquote|pre|figure|figcaption|table|tr|section|article|aside|header|footer|hr)\b[^>]*>/gi;
+
+const decodeEntities = (text: string) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name: string) => {
+    if (name[0] !== "#") return ENTITIES[name.toLowerCase()] ?? entity;
+    const code = /^#x/i.test(name)
+      ? parseInt(name.slice(2), 16)
+      : Number(name.slice(1));
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
+
+/** Decodes character references and collapses whitespace */
+export const normalizeText = (text: string) =>
+  decodeEntities(text).replace(/\s+/g, " ").trim();
+
+/**
+ * Post HTML as the plain text D1 stores: paragraphs separated by blank
+ * lines, line breaks kept, other whitespace collapsed.
+ */
+export const htmlToText = (html: string) =>
+  decodeEntities(
+    html
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(BLOCK_TAG, "\n\n")
+      .replace(/<[^>]*>/g, ""),
+  )
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const normalize = (record: SyncRecord) =>
+  Object.fromEntries(
+    COMPARED_FIELDS.map((field) => [field, normalizeText(record[field] ?? "")]),
+  ) as Record<(typeof COMPARED_FIELDS)[number], string>;
+
+/** SHA-256 of the compared fields, as hex */
+export async function recordHash(record: SyncRecord): Promise<string> {
+  const data = new TextEncoder().encode(JSON.stringify(normalize(record)));
+  const digest = await crypto.subtle.digest("SHA-256", data);
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+export const changedFields = (a: SyncRecord, b: SyncRecord) => {
+  const [left, right] = [normalize(a), normalize(b)];
+  return COMPARED_FIELDS.filter((field) => left[field] !== right[field]);
+};
+
+/**
+ * Diffs both sides and decides what to do with each slug. `base` holds the
+ * hashes from the last sync; with it, `both` can tell which side changed,
+ * and only a change on both sides is a conflict. Nothing is ever deleted:
+ * a post missing on one side is created there (or skipped, depending on
+ * the direction).
+ *
+ * `renames` maps old slugs to where they redirect now (see
+ * sdk/redirects.ts): a D1 row at an old slug is matched with the block at
+ * the new one, and the rename is pushed along with the other fields.
+ */
+export async function planSync(
+  blocks: SyncRecord[],
+  rows: SyncRecord[],
+  { direction, conflict = "skip", base = {}, renames = {} }: {
+    direction: SyncDirection;
+    conflict?: ConflictRule;
+    base?: Record<string, string>;
+    renames?: Record<string, string>;
+  },
+): Promise<SyncPlan> {
+  const bySlug = (records: SyncRecord[]) =>
+    new Map(records.map((record) => [record.slug, record]));
+  const [blockMap, rowMap] = [bySlug(blocks), bySlug(rows)];
+
+  // Block slug -> the old slug D1 still has it under
+  const renamed = new Map<string, string>();
+  for (const row of rows) {
+    const to = renames[row.slug];
+    if (
+      to && !blockMap.has(row.slug) && blockMap.has(to) && !rowMap.has(to)
+    ) {
+      renamed.set(to, row.slug);
+      rowMap.delete(row.slug);
+      rowMap.set(to, { ...row, slug: to });
+    }
+  }
+  const slugs = [...new Set([...blockMap.keys(), ...rowMap.keys()])].sort();
+
+  const actions: SyncAction[] = [];
+  const next: Record<string, string> = {};
+  let inSync = 0;
+  const pushes = direction !== "db-to-blocks";
+  const pulls = direction !== "blocks-to-db";
+
+  for (const slug of slugs) {
+    const block = blockMap.get(slug);
+    const row = rowMap.get(slug);
+    const from = renamed.get(slug);
+    const act = (kind: SyncActionKind, reason: string, fields: string[] = []) =>
+      actions.push({
+        slug,
+        kind,
+        fields: from && kind !== "update-block" ? ["slug", ...fields] : fields,
+        reason: from ? `renamed from ${from}, ${reason}` : reason,
+        ...(from ? { renamedFrom: from } : {}),
+      });
+
+    if (block && !row) {
+      if (pushes) {
+        act("create-db", "only in blocks");
+        next[slug] = await recordHash(block);
+      } else act("skip", "only in blocks");
+      continue;
+    }
+    if (row && !block) {
+      const to = renames[slug];
+      if (to && blockMap.has(to)) {
+        // The block moved to `to`, which D1 has a row for too
+        act("conflict", `redirects to ${to}, which is also in D1`);
+        continue;
+      }
+      if (pulls) {
+        act("create-block", "only in D1");
+        next[slug] = await recordHash(row);
+      } else act("skip", "only in D1");
+      continue;
+    }
+
+    const [blockHash, rowHash] = [
+      await recordHash(block!),
+      await recordHash(row!),
+    ];
+    if (blockHash === rowHash) {
+      if (from) act(pushes ? "update-db" : "skip", "otherwise in sync");
+      else inSync++;
+      next[slug] = blockHash;
+      continue;
+    }
+
+    const fields = changedFields(block!, row!);
+    const known = base[slug] ?? (from ? base[from] : undefined);
+    const blockChanged = !known || known !== blockHash;
+    const rowChanged = !known || known !== rowHash;
+    let winner: "blocks" | "db" | null;
+    if (direction === "blocks-to-db") winner = "blocks";
+    else if (direction === "db-to-blocks") winner = "db";
+    else if (blockChanged && !rowChanged) winner = "blocks";
+    else if (rowChanged && !blockChanged) winner = "db";
+    else winner = conflict === "skip" ? null : conflict;
+
+    const why = known
+      ? blockChanged && rowChanged
+        ? "both changed since the last sync"
+        : `${blockChanged ? "block" : "D1"} changed since the last sync`
+      : "differs, never synced";
+    if (!winner) {
+      act("conflict", why, fields);
+      if (known) next[slug] = known;
+    } else if (winner === "db" && fields.includes("content")) {
+      act("conflict", `${why}; D1 content is text, edit the block`, fields);
+      if (known) next[slug] = known;
+    } else if (winner === "blocks") {
+      act("update-db", why, fields);
+      next[slug] = blockHash;
+    } else {
+      act("update-block", why, fields);
+      next[slug] = rowHash;
+    }
+  }
+
+  return { actions, inSync, base: next };
+}
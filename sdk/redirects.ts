@@ -0,0 +1,105 @@
+import { readJsonPath, writeJsonPath } from "site/sdk/blog.ts";
+
+/**
+ * Registry of renamed post slugs, so links to /blog/<old-slug> shared
+ * before a rename keep working. saveBlogBlock (sdk/revisions.ts) records
+ * renames here, the blog routes serve a permanent redirect for every entry,
+ * and scripts/check_redirects.ts reports chains and loops. Saving a post at
+ * a redirected slug drops the redirect, so it never hides a post.
+ */
+
+export interface SlugRedirect {
+  from: string;
+  to: string;
+  /** ISO date-time of the rename */
+  at: string;
+}
+
+interface Registry {
+  redirects: SlugRedirect[];
+}
+
+// Hops followed before giving up on a chain, which also stops loops
+const MAX_HOPS = 10;
+
+export function redirectsFilePath(): string {
+  return `${Deno.cwd().replace(/\\/g, "/")}/.deco/redirects.json`;
+}
+
+let cached: { mtime: number; redirects: SlugRedirect[] } | null = null;
+
+/** Every slug redirect, re-read when the registry file changes */
+export async function listRedirects(): Promise<SlugRedirect[]> {
+  const path = redirectsFilePath();
+  const mtime = await Deno.stat(path).then((stat) => stat.mtime?.getTime() ?? 0)
+    .catch(() => -1);
+  if (mtime < 0) return [];
+  if (cached?.mtime === mtime) return cached.redirects;
+
+  const { redirects = [] } = await readJsonPath<Registry>(path);
+  cached = { mtime, redirects };
+  return redirects;
+}
+
+/**
+ * Records that a post moved from one slug to another. Redirects that
+ * pointed at the old slug are moved to the new one, so renaming twice
+ * does not make a chain, and a redirect away from the new slug is
+ * dropped, since a post lives there again.
+ */
+export async function recordSlugChange(from: string, to: string) {
+  if (from === to) return;
+  // Writes can land within the mtime resolution: always read the file
+  cached = null;
+  const redirects = (await listRedirects())
+    .filter((redirect) => redirect.from !== to && redirect.from !== from)
+    .map((redirect) => redirect.to === from ? { ...redirect, to } : redirect);
+  redirects.push({ from, to, at: new Date().toISOString() });
+  await writeJsonPath(redirectsFilePath(), { redirects } satisfies Registry);
+  console.log("[redirects] recorded", { from, to });
+}
+
+/**
+ * Drops the redirect away from `slug`, if any: a post was saved there, and
+ * the redirect would hide it. Called by saveBlogBlock on every write.
+ */
+export async function dropRedirectFrom(slug: string) {
+  cached = null;
+  const redirects = await listRedirects();
+  if (!redirects.some((redirect) => redirect.from === slug)) return;
+  await writeJsonPath(
+    redirectsFilePath(),
+    {
+      redirects: redirects.filter((redirect) => redirect.from !== slug),
+    } satisfies Registry,
+  );
+  console.log("[redirects] dropped", { from: slug });
+}
+
+export interface ResolvedRedirect {
+  /** Where the slug ends up after following every hop */
+  slug: string;
+  /** Slugs visited after the first, e.g. [b, c] for a -> b -> c */
+  hops: string[];
+  loop: boolean;
+}
+
+/** Follows the redirects from a slug; null when it is not redirected */
+export function resolveRedirect(
+  redirects: SlugRedirect[],
+  slug: string,
+): ResolvedRedirect | null {
+  const next = new Map(redirects.map((r) => [r.from, r.to]));
+  if (!next.has(slug)) return null;
+
+  const seen = new Set([slug]);
+  const hops: string[] = [];
+  let current = slug;
+  while (next.has(current) && hops.length < MAX_HOPS) {
+    current = next.get(current)!;
+    if (seen.has(current)) return { slug: current, hops, loop: true };
+    seen.add(current);
+    hops.push(current);
+  }
+  return { slug: current, hops, loop: next.has(current) };
+}
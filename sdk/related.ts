@@ -0,0 +1,176 @@
+import type { BlogPost } from "apps/blog/types.ts";
+import { getBlogPosts } from "site/sdk/blog.ts";
+import { sha256 } from "site/sdk/hash.ts";
+import { STOPWORDS, stripHtml } from "site/sdk/language.ts";
+import { isVisibleCategory, postLanguage } from "site/sdk/postFilters.ts";
+import { fold, tokenize } from "site/sdk/search.ts";
+
+/**
+ * Related posts and previous/next links, computed in memory from the post
+ * blocks on disk. Nothing is fetched, so it works offline and in builds.
+ */
+
+export interface RelatedPost {
+  post: BlogPost;
+  score: number;
+}
+
+export interface AdjacentPosts {
+  /** The post published just before, if any */
+  previous: BlogPost | null;
+  /** The post published just after, if any */
+  next: BlogPost | null;
+}
+
+// How much each signal counts towards the final score, adding up to 1
+const WEIGHTS = { content: 0.6, categories: 0.25, language: 0.15 };
+// Title words say more about the subject than body words
+const TITLE_BOOST = 3;
+
+const STOP = new Set(
+  Object.values(STOPWORDS).flatMap((words) => [...words].map(fold)),
+);
+
+type Vector = Map<string, number>;
+
+interface RelatedIndex {
+  /** getBlogPosts() result the index was built from, newest first */
+  posts: BlogPost[];
+  /** What the index depends on in those posts */
+  signature: string;
+  vectors: Vector[];
+  categories: Set<string>[];
+  languages: string[];
+}
+
+const termCounts = (post: BlogPost) => {
+  const counts = new Map<string, number>();
+  const add = (text: string, weight: number) => {
+    for (const term of tokenize(text)) {
+      if (STOP.has(term) || /^\d+$/.test(term)) continue;
+      counts.set(term, (counts.get(term) ?? 0) + weight);
+    }
+  };
+  add(post.title ?? "", TITLE_BOOST);
+  add(`${post.excerpt ?? ""} ${stripHtml(post.content ?? "")}`, 1);
+  return counts;
+};
+
+/** Unit-length TF-IDF vectors, one per post */
+export function tfidfVectors(posts: BlogPost[]): Vector[] {
+  const counts = posts.map(termCounts);
+  const df = new Map<string, number>();
+  for (const terms of counts) {
+    for (const term of terms.keys()) df.set(term, (df.get(term) ?? 0) + 1);
+  }
+
+  return counts.map((terms) => {
+    const vector: Vector = new Map();
+    let norm = 0;
+    for (const [term, count] of terms) {
+      const docs = df.get(term)!;
+      // Terms in a single post cannot make it similar to another one
+      if (docs < 2) continue;
+      const weight = (1 + Math.log(count)) * Math.log(posts.length / docs);
+      if (weight <= 0) continue;
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm);
+    for (const [term, weight] of vector) vector.set(term, weight / norm);
+    return vector;
+  });
+}
+
+export function cosine(a: Vector, b: Vector): number {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) dot += weight * (large.get(term) ?? 0);
+  return dot;
+}
+
+const jaccard = (a: Set<string>, b: Set<string>) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+};
+
+let loaded: RelatedIndex | null = null;
+
+const signatureOf = (posts: BlogPost[]) =>
+  sha256(
+    JSON.stringify(
+      posts.map((post) => [
+        post.slug,
+        post.title,
+        post.content,
+        post.categories?.map((category) => category.slug),
+      ]),
+    ),
+  );
+
+async function loadRelatedIndex(): Promise<RelatedIndex> {
+  const posts = await getBlogPosts();
+  if (loaded?.posts === posts) return loaded;
+
+  // A new array can still hold the same posts, in which case the vectors
+  // are kept
+  const signature = await signatureOf(posts);
+  if (loaded?.signature === signature) {
+    loaded = { ...loaded, posts };
+    return loaded;
+  }
+
+  loaded = {
+    posts,
+    signature,
+    vectors: tfidfVectors(posts),
+    categories: posts.map((post) =>
+      new Set(
+        (post.categories ?? []).filter(isVisibleCategory).map((c) => c.slug),
+      )
+    ),
+    languages: posts.map(postLanguage),
+  };
+  return loaded;
+}
+
+/**
+ * Posts most similar to `slug`: shared categories, same language and
+ * TF-IDF cosine similarity of the text, best first.
+ */
+export async function relatedPosts(
+  slug: string,
+  limit = 3,
+): Promise<RelatedPost[]> {
+  const index = await loadRelatedIndex();
+  const i = index.posts.findIndex((post) => post.slug === slug);
+  if (i < 0) return [];
+
+  return index.posts
+    .map((post, j) => ({
+      post,
+      score: j === i ? 0 : WEIGHTS.content *
+          cosine(index.vectors[i], index.vectors[j]) +
+        WEIGHTS.categories *
+          jaccard(index.categories[i], index.categories[j]) +
+        WEIGHTS.language *
+          Number(index.languages[i] === index.languages[j]),
+    }))
+    // Sharing only the language is not enough to be related
+    .filter(({ score }) => score > WEIGHTS.language)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/** Chronological neighbours of `slug` */
+export async function adjacentPosts(slug: string): Promise<AdjacentPosts> {
+  const { posts } = await loadRelatedIndex();
+  const i = posts.findIndex((post) => post.slug === slug);
+  if (i < 0) return { previous: null, next: null };
+  return {
+    previous: posts[i + 1] ?? null,
+    next: posts[i - 1] ?? null,
+  };
+}
@@ -0,0 +1,215 @@
+import jsonpatch, { type Operation } from "fast-json-patch";
+import {
+  blockFilePath,
+  type BlogBlock,
+  listBlogBlocks,
+  readJsonPath,
+  writeJsonPath,
+} from "site/sdk/blog.ts";
+import { UpsertError } from "site/sdk/postSchema.ts";
+import { dropRedirectFrom, recordSlugChange } from "site/sdk/redirects.ts";
+
+/**
+ * Revision history of blog post blocks. Every write through saveBlogBlock
+ * appends a JSON Patch to a sidecar log in .deco/revisions (outside
+ * .deco/blocks, so deco does not load it as a block), and any version of
+ * the block can be rebuilt by replaying the patches.
+ */
+
+/**
+ * Who made a change:
+ * - manual: edited in the admin or by hand, noticed on the next save
+ * - mcp: the UpsertBlogPost tool
+ * - workflow: scripts and automations (imports, LinkedIn sync, restores)
+ */
+export type RevisionSource = "manual" | "mcp" | "workflow";
+
+export interface Revision {
+  /** 1 for the first revision, increasing */
+  id: number;
+  /** ISO date-time */
+  at: string;
+  source: RevisionSource;
+  /** What made the change, e.g. "restore #3" */
+  note?: string;
+  /** JSON Patch from the previous revision's block to this one */
+  patch: Operation[];
+}
+
+export interface RevisionLog {
+  /** Block id, as in blockFilePath */
+  post: string;
+  revisions: Revision[];
+}
+
+export interface SaveOptions {
+  source: RevisionSource;
+  note?: string;
+  /**
+   * Works as an ETag: the write is rejected with a "stale" UpsertError
+   * unless the post is still at this revision. 0 only creates a post.
+   */
+  expectedRevision?: number;
+}
+
+/** The block to write, from the one on disk (null for a new post) */
+export type BlockUpdate = (
+  current: BlogBlock | null,
+) => BlogBlock | Promise<BlogBlock>;
+
+export function revisionsDirPath(): string {
+  return `${Deno.cwd().replace(/\\/g, "/")}/.deco/revisions/`;
+}
+
+export function revisionsFilePath(id: string): string {
+  return revisionsDirPath() + encodeURIComponent(id) + ".json";
+}
+
+export async function readRevisions(id: string): Promise<RevisionLog> {
+  try {
+    return await readJsonPath<RevisionLog>(revisionsFilePath(id));
+  } catch (err) {
+    if (!(err instanceof Deno.errors.NotFound)) throw err;
+    return { post: id, revisions: [] };
+  }
+}
+
+/** The block as it was at a revision */
+export function blockAt(log: RevisionLog, revision: number): BlogBlock {
+  if (!log.revisions.some((r) => r.id === revision)) {
+    throw new Error(`Post ${log.post} has no revision ${revision}`);
+  }
+  let doc = {};
+  for (const r of log.revisions) {
+    if (r.id > revision) break;
+    doc = jsonpatch.applyPatch(doc, r.patch, false, false).newDocument;
+  }
+  // Values added by the patches are shared with the log: hand out a copy
+  return structuredClone(doc) as BlogBlock;
+}
+
+/** Id of the last revision, 0 for a post without any */
+export const lastRevision = (log: RevisionLog) =>
+  log.revisions[log.revisions.length - 1]?.id ?? 0;
+
+const latest = (log: RevisionLog) =>
+  log.revisions.length ? blockAt(log, lastRevision(log)) : null;
+
+function append(
+  log: RevisionLog,
+  from: BlogBlock | null,
+  to: BlogBlock,
+  { source, note }: SaveOptions,
+): boolean {
+  const patch = jsonpatch.compare(from ?? {}, to);
+  if (!patch.length) return false;
+  log.revisions.push({
+    id: lastRevision(log) + 1,
+    at: new Date().toISOString(),
+    source,
+    ...(note ? { note } : {}),
+    patch,
+  });
+  return true;
+}
+
+/**
+ * The revision log of a post, brought up to date with the block on disk:
+ * when the block no longer matches the last revision (it was edited in the
+ * admin, or predates the log), that state is recorded as a manual revision,
+ * so it can still be restored.
+ */
+export async function syncRevisions(id: string): Promise<RevisionLog> {
+  const log = await readRevisions(id);
+  const onDisk = await readJsonPath<BlogBlock>(blockFilePath(id))
+    .catch(() => null);
+  if (onDisk && append(log, latest(log), onDisk, { source: "manual" })) {
+    await writeJsonPath(revisionsFilePath(id), log);
+  }
+  return log;
+}
+
+// Pending writes per block id: each one starts when the previous is done
+const queues = new Map<string, Promise<void>>();
+
+function serialized<T>(id: string, fn: () => Promise<T>): Promise<T> {
+  const run = (queues.get(id) ?? Promise.resolve()).then(fn);
+  const done = run.then(() => {}, () => {});
+  queues.set(id, done);
+  done.then(() => {
+    if (queues.get(id) === done) queues.delete(id);
+  });
+  return run;
+}
+
+/**
+ * Writes a blog post block and records the change in its revision log.
+ * `block` can be a function of the block on disk, read when the write
+ * starts. Writes to the same post run one at a time, so the
+ * `expectedRevision` check and the write it guards see the same state.
+ *
+ * Throws a "slug_taken" UpsertError when another post has the slug. A
+ * changed slug is recorded as a redirect from the old one, and a redirect
+ * away from the post's slug is dropped (see sdk/redirects.ts).
+ * Returns the id of the post's last revision after the write.
+ */
+export function saveBlogBlock(
+  id: string,
+  block: BlogBlock | BlockUpdate,
+  options: SaveOptions,
+): Promise<number> {
+  return serialized(id, async () => {
+    const log = await syncRevisions(id);
+    const { expectedRevision } = options;
+    if (
+      expectedRevision !== undefined && lastRevision(log) !== expectedRevision
+    ) {
+      throw new UpsertError(
+        "stale",
+        `Post ${id} is at revision ${
+          lastRevision(log)
+        }, not ${expectedRevision}`,
+      );
+    }
+    const current = await readJsonPath<BlogBlock>(blockFilePath(id))
+      .catch(() => null);
+    const previousSlug = current?.post.slug;
+    const next = typeof block === "function" ? await block(current) : block;
+    const { slug } = next.post;
+    const taken = (await listBlogBlocks()).find((entry) =>
+      entry.id !== id && entry.block.post.slug === slug
+    );
+    if (taken) {
+      throw new UpsertError(
+        "slug_taken",
+        `Slug "${slug}" is already used by post ${taken.id}`,
+      );
+    }
+    const changed = append(log, latest(log), next, options);
+
+    await writeJsonPath(blockFilePath(id), next);
+    if (changed) await writeJsonPath(revisionsFilePath(id), log);
+    // Links shared with the old slug keep working
+    if (previousSlug && previousSlug !== slug) {
+      await recordSlugChange(previousSlug, slug);
+    } else {
+      await dropRedirectFrom(slug);
+    }
+    return lastRevision(log);
+  });
+}
+
+/**
+ * JSON Patch between two revisions; `to` defaults to the latest, and `from`
+ * 0 is the empty document, as before the first revision
+ */
+export function diffRevisions(
+  log: RevisionLog,
+  from: number,
+  to = lastRevision(log),
+): Operation[] {
+  return jsonpatch.compare(
+    from === 0 ? {} : blockAt(log, from),
+    blockAt(log, to),
+  );
+}
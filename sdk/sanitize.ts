@@ -0,0 +1,272 @@
+/**
+ * Allowlist sanitizer for post HTML. Content comes from LinkedIn imports,
+ * the UpsertBlogPost loader and AI translations, and ends up in
+ * dangerouslySetInnerHTML, so it is cleaned when written and again when
+ * rendered.
+ *
+ * Only the tags and attributes the post styles cover are kept; scripts and
+ * other active content are dropped with everything inside them, event
+ * handlers and inline styles are removed, and URLs must be http(s), mailto,
+ * tel or relative. Unknown tags are unwrapped, keeping their text.
+ *
+ * No dependencies: the MCP server in vibegui-internal imports this file too.
+ */
+
+export interface SanitizeResult {
+  html: string;
+  /** What was removed, e.g. "<script>", "onerror on <img>" */
+  removed: string[];
+}
+
+const GLOBAL_ATTRS = ["title", "lang", "dir"];
+
+/** Allowed tags and the attributes each keeps */
+const ALLOWED: Record<string, string[]> = {
+  p: [],
+  br: [],
+  hr: [],
+  div: [],
+  span: ["class"],
+  strong: [],
+  b: [],
+  em: [],
+  i: [],
+  u: [],
+  s: [],
+  del: [],
+  ins: [],
+  mark: [],
+  small: [],
+  sub: [],
+  sup: [],
+  kbd: [],
+  a: ["href", "rel", "target"],
+  h1: ["id"],
+  h2: ["id"],
+  h3: ["id"],
+  h4: ["id"],
+  h5: ["id"],
+  h6: ["id"],
+  ul: ["data-bullets"],
+  ol: ["start", "reversed"],
+  li: [],
+  blockquote: ["cite"],
+  pre: ["class"],
+  code: ["class"],
+  img: ["src", "alt", "width", "height", "loading"],
+  figure: ["data-gallery"],
+  figcaption: [],
+  table: [],
+  thead: [],
+  tbody: [],
+  tr: [],
+  th: ["colspan", "rowspan"],
+  td: ["colspan", "rowspan"],
+};
+
+const VOID = new Set(["br", "hr", "img"]);
+
+/** Removed together with everything inside them */
+const DROP_WITH_CONTENT = new Set([
+  "script",
+  "style",
+  "iframe",
+  "object",
+  "applet",
+  "noscript",
+  "noembed",
+  "noframes",
+  "template",
+  "svg",
+  "math",
+  "textarea",
+  "select",
+  "title",
+  "head",
+  "frameset",
+  "xmp",
+  "plaintext",
+]);
+
+/** Void tags that are removed */
+const DROP = new Set([
+  "embed",
+  "link",
+  "meta",
+  "base",
+  "input",
+  "param",
+  "frame",
+  "keygen",
+]);
+
+const URL_ATTRS = new Set(["href", "src", "cite"]);
+const URL_SCHEMES = new Set(["http", "https", "mailto", "tel"]);
+const DATA_IMAGE = /^data:image\/(png|gif|jpe?g|webp|avif);base64,/i;
+
+const TAG =
+  /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[\s/]+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'<>`]+))?)*)[\s/]*>/y;
+const ATTR = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'<>`]+)))?/g;
+
+const NAMED_ENTITIES: Record<string, string> = {
+  colon: ":",
+  tab: "\t",
+  newline: "\n",
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/** Decodes the entities that can hide a URL scheme, e.g. `jav&#x61;script:` */
+const decodeEntities = (value: string) =>
+  value.replace(
+    /&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi,
+    (entity, name: string) => {
+      if (name[0] !== "#") return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+      const code = name[1] === "x" || name[1] === "X"
+        ? parseInt(name.slice(2), 16)
+        : Number(name.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+    },
+  );
+
+export function isSafeUrl(value: string, attr: string): boolean {
+  // Browsers ignore whitespace and control characters inside the scheme
+  // deno-lint-ignore no-control-regex
+  const url = decodeEntities(value).replace(/[\u0000- \u007f-\u009f]/g, "");
+  if (attr === "src" && DATA_IMAGE.test(url)) return true;
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i)?.[1];
+  return !scheme || URL_SCHEMES.has(scheme.toLowerCase());
+}
+
+const escapeAttr = (value: string) =>
+  value.replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+function cleanAttrs(
+  tag: string,
+  source: string,
+  removed: (what: string) => void,
+): string {
+  const allowed = ALLOWED[tag];
+  // A null value is an attribute written without one, e.g. data-gallery
+  const kept: [string, string | null][] = [];
+  for (const match of source.matchAll(ATTR)) {
+    const name = match[1].toLowerCase();
+    const value = match[2] ?? match[3] ?? match[4] ?? null;
+    if (!allowed.includes(name) && !GLOBAL_ATTRS.includes(name)) {
+      removed(
+        name.startsWith("on")
+          ? `${name} on <${tag}>`
+          : `${name} attribute on <${tag}>`,
+      );
+    } else if (URL_ATTRS.has(name) && !isSafeUrl(value ?? "", name)) {
+      removed(`unsafe ${name} on <${tag}>`);
+    } else if (
+      (name === "class" || name === "id") && !/^[\w\s-]*$/.test(value ?? "")
+    ) {
+      removed(`${name} on <${tag}>`);
+    } else if (name === "target" && value !== "_blank") {
+      removed(`target on <${tag}>`);
+    } else if (!kept.some(([other]) => other === name)) {
+      kept.push([name, value]);
+    }
+  }
+  // Links opening a new tab must not get a handle on this page
+  if (kept.some(([name]) => name === "target")) {
+    const others = kept.filter(([name]) => name !== "rel");
+    kept.splice(0, kept.length, ...others, ["rel", "noopener noreferrer"]);
+  }
+  return kept.map(([name, value]) =>
+    value === null ? ` ${name}` : ` ${name}="${escapeAttr(value)}"`
+  ).join("");
+}
+
+export function sanitizeHtml(html: string): SanitizeResult {
+  const counts = new Map<string, number>();
+  const removed = (what: string) =>
+    counts.set(what, (counts.get(what) ?? 0) + 1);
+  const out: string[] = [];
+  const open: string[] = [];
+
+  let i = 0;
+  while (i < html.length) {
+    const lt = html.indexOf("<", i);
+    if (lt < 0) {
+      out.push(html.slice(i));
+      break;
+    }
+    out.push(html.slice(i, lt));
+
+    if (html.startsWith("<!--", lt)) {
+      const end = html.indexOf("-->", lt + 4);
+      removed("comment");
+      i = end < 0 ? html.length : end + 3;
+      continue;
+    }
+    if (html[lt + 1] === "!" || html[lt + 1] === "?") {
+      const end = html.indexOf(">", lt);
+      removed(html[lt + 1] === "!" ? "<!declaration>" : "<?instruction>");
+      i = end < 0 ? html.length : end + 1;
+      continue;
+    }
+
+    TAG.lastIndex = lt;
+    const match = TAG.exec(html);
+    if (!match) {
+      // Not a tag: keep the text, but never a bare "<"
+      out.push("&lt;");
+      i = lt + 1;
+      continue;
+    }
+    i = TAG.lastIndex;
+    const [, closing, rawName, attrs] = match;
+    const tag = rawName.toLowerCase();
+
+    if (closing) {
+      const at = open.lastIndexOf(tag);
+      if (at < 0) {
+        // Stray closing tags of allowed elements are harmless and common
+        if (!ALLOWED[tag]) removed(`</${tag}>`);
+        continue;
+      }
+      while (open.length > at) out.push(`</${open.pop()}>`);
+    } else if (DROP_WITH_CONTENT.has(tag)) {
+      removed(`<${tag}>`);
+      const end = html.slice(i).search(new RegExp(`</${tag}[\\s/]*>`, "i"));
+      i = end < 0 ? html.length : html.indexOf(">", i + end) + 1;
+    } else if (DROP.has(tag)) {
+      removed(`<${tag}>`);
+    } else if (!ALLOWED[tag]) {
+      removed(`<${tag}> (unwrapped)`);
+    } else {
+      out.push(`<${tag}${cleanAttrs(tag, attrs, removed)}>`);
+      if (!VOID.has(tag)) open.push(tag);
+    }
+  }
+  while (open.length) out.push(`</${open.pop()}>`);
+
+  return {
+    html: out.join(""),
+    removed: [...counts].map(([what, n]) => n > 1 ? `${what} ×${n}` : what),
+  };
+}
+
+const logged = new Set<string>();
+
+/**
+ * Sanitizes and logs what was removed, once per source and result: render
+ * paths call this on every request.
+ */
+export function sanitizePostHtml(html: string, source: string): string {
+  const result = sanitizeHtml(html);
+  const key = `${source}: ${result.removed.join(", ")}`;
+  if (result.removed.length && !logged.has(key)) {
+    if (logged.size > 1000) logged.clear();
+    logged.add(key);
+    console.warn("[sanitize] removed from", key);
+  }
+  return result.html;
+}
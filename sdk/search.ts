@@ -0,0 +1,276 @@
+import type { BlogPost } from "apps/blog/types.ts";
+import { getBlogPosts } from "site/sdk/blog.ts";
+import { sha256 } from "site/sdk/hash.ts";
+import { stripHtml } from "site/sdk/language.ts";
+
+/**
+ * Full-text search over the blog posts. The index is written to
+ * SEARCH_INDEX_PATH by `deno task build` and rebuilt in memory whenever the
+ * post blocks no longer match it (e.g. while editing posts locally).
+ */
+
+export const SEARCH_INDEX_PATH = "search_index.gen.json";
+
+interface IndexedDoc {
+  slug: string;
+  title: string;
+  excerpt: string;
+  date: string;
+  /** Plain-text content, for snippets */
+  text: string;
+}
+
+export interface SearchIndex {
+  version: 1;
+  /** Hash of the indexed posts, to tell whether the index is stale */
+  signature: string;
+  docs: IndexedDoc[];
+  /** term -> [doc index, score] */
+  postings: Record<string, Array<[number, number]>>;
+}
+
+export interface SearchResult {
+  slug: string;
+  date: string;
+  /** HTML, with matches wrapped in <mark> */
+  title: string;
+  /** HTML, with matches wrapped in <mark> */
+  snippet: string;
+  score: number;
+}
+
+// Title matches rank above excerpt matches, which rank above content matches
+const FIELD_WEIGHTS = { title: 10, excerpt: 4, text: 1 } as const;
+const FIELDS = Object.keys(FIELD_WEIGHTS) as Array<keyof typeof FIELD_WEIGHTS>;
+const PREFIX_PENALTY = 0.7;
+const SNIPPET_LENGTH = 180;
+
+/** Lowercase, accent-free form used for both indexing and querying */
+export const fold = (text: string) =>
+  text.normalize("NFD").replace(/\p{Diacritic}/gu, "").toLowerCase();
+
+export const tokenize = (text: string) =>
+  fold(text).match(/[\p{L}\p{N}]{2,}/gu) ?? [];
+
+async function signatureOf(posts: BlogPost[]) {
+  return await sha256(
+    JSON.stringify(
+      posts.map((post) => [post.slug, post.title, post.excerpt, post.content]),
+    ),
+  );
+}
+
+export async function buildSearchIndex(
+  posts: BlogPost[],
+): Promise<SearchIndex> {
+  const docs: IndexedDoc[] = posts.map((post) => ({
+    slug: post.slug,
+    title: post.title ?? "",
+    excerpt: post.excerpt ?? "",
+    date: post.date ?? "",
+    text: stripHtml(post.content ?? "").replace(/\s+/g, " "),
+  }));
+
+  const postings: SearchIndex["postings"] = {};
+  docs.forEach((doc, index) => {
+    const scores = new Map<string, number>();
+    for (const field of FIELDS) {
+      for (const term of tokenize(doc[field])) {
+        scores.set(term, (scores.get(term) ?? 0) + FIELD_WEIGHTS[field]);
+      }
+    }
+    for (const [term, score] of scores) {
+      (postings[term] ??= []).push([index, score]);
+    }
+  });
+
+  return {
+    version: 1,
+    signature: await signatureOf(posts),
+    docs,
+    postings,
+  };
+}
+
+let loaded: {
+  /** getBlogPosts() result the index was checked against */
+  posts: BlogPost[];
+  index: SearchIndex;
+  terms: string[];
+} | null = null;
+
+async function readIndexFile(): Promise<SearchIndex | null> {
+  try {
+    return JSON.parse(await Deno.readTextFile(SEARCH_INDEX_PATH));
+  } catch (_) {
+    return null;
+  }
+}
+
+/** The search index for the current posts, from disk when it is up to date */
+export async function loadSearchIndex() {
+  const posts = await getBlogPosts();
+  if (loaded?.posts === posts) return loaded;
+
+  // A new array can still hold the same posts: the signature decides
+  // whether the index has to be rebuilt
+  const signature = await signatureOf(posts);
+  const current = loaded?.index.signature === signature
+    ? loaded.index
+    : await readIndexFile();
+  const index = current?.signature === signature
+    ? current
+    : await buildSearchIndex(posts);
+  const terms = loaded && index === loaded.index
+    ? loaded.terms
+    : Object.keys(index.postings).sort();
+  loaded = { posts, index, terms };
+  return loaded;
+}
+
+export async function writeSearchIndex(path = SEARCH_INDEX_PATH) {
+  const index = await buildSearchIndex(await getBlogPosts());
+  await Deno.writeTextFile(path, JSON.stringify(index));
+  return index;
+}
+
+/** Indexed terms starting with `prefix`, using the sorted term list */
+function expand(terms: string[], prefix: string): string[] {
+  let lo = 0;
+  let hi = terms.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (terms[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  const matches: string[] = [];
+  for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i++) {
+    matches.push(terms[i]);
+  }
+  return matches;
+}
+
+const escapeHtml = (text: string) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * Folds `text` keeping, for every folded character, the index of the
+ * original character it came from, so matches can be mapped back.
+ */
+function foldWithOffsets(text: string) {
+  let folded = "";
+  const offsets: number[] = [];
+  for (let i = 0; i < text.length; i++) {
+    const char = fold(text[i]);
+    folded += char;
+    for (let j = 0; j < char.length; j++) offsets.push(i);
+  }
+  offsets.push(text.length);
+  return { folded, offsets };
+}
+
+/** Ranges of `text` (original indices) where a word starts with one of `terms` */
+function matchRanges(text: string, terms: string[]): Array<[number, number]> {
+  const { folded, offsets } = foldWithOffsets(text);
+  const ranges: Array<[number, number]> = [];
+  for (const word of folded.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const term = terms
+      .filter((t) => word[0].startsWith(t))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!term) continue;
+    const start = word.index!;
+    ranges.push([offsets[start], offsets[start + term.length]]);
+  }
+  return ranges;
+}
+
+function highlight(
+  text: string,
+  ranges: Array<[number, number]>,
+  from = 0,
+  to = text.length,
+) {
+  let html = "";
+  let last = from;
+  for (const [start, end] of ranges) {
+    if (start < from || end > to) continue;
+    html += escapeHtml(text.slice(last, start));
+    html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    last = end;
+  }
+  return html + escapeHtml(text.slice(last, to));
+}
+
+/** Excerpt of `text` around the first match, or its beginning */
+function snippet(text: string, terms: string[]) {
+  const ranges = matchRanges(text, terms);
+  const first = ranges[0]?.[0] ?? 0;
+  let from = Math.max(0, first - SNIPPET_LENGTH / 3);
+  let to = Math.min(text.length, from + SNIPPET_LENGTH);
+  // Cut at word boundaries
+  if (from > 0) from = text.indexOf(" ", from) + 1 || from;
+  if (to < text.length) {
+    const space = text.lastIndexOf(" ", to);
+    if (space > first) to = space;
+  }
+
+  return `${from > 0 ? "… " : ""}${highlight(text, ranges, from, to)}${
+    to < text.length ? " …" : ""
+  }`;
+}
+
+/** Best score of each document for one query word */
+function scoreTerm(index: SearchIndex, terms: string[], queryTerm: string) {
+  const scores = new Map<number, number>();
+  for (const term of expand(terms, queryTerm)) {
+    const factor = term === queryTerm ? 1 : PREFIX_PENALTY;
+    for (const [doc, score] of index.postings[term]) {
+      scores.set(doc, Math.max(scores.get(doc) ?? 0, score * factor));
+    }
+  }
+  return scores;
+}
+
+/**
+ * Posts matching every word of `query`. Words match indexed terms by
+ * prefix, so results show up while the last word is still being typed.
+ */
+export async function searchPosts(
+  query: string,
+  limit = 20,
+): Promise<SearchResult[]> {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (!queryTerms.length) return [];
+
+  const { index, terms } = await loadSearchIndex();
+  let scores: Map<number, number> | null = null;
+  for (const queryTerm of queryTerms) {
+    const matches = scoreTerm(index, terms, queryTerm);
+    // Every query word has to match
+    scores = scores
+      ? new Map(
+        [...matches]
+          .filter(([doc]) => scores!.has(doc))
+          .map(([doc, score]) => [doc, score + scores!.get(doc)!]),
+      )
+      : matches;
+    if (!scores.size) return [];
+  }
+
+  return [...scores!]
+    .sort((a, b) =>
+      b[1] - a[1] ||
+      index.docs[b[0]].date.localeCompare(index.docs[a[0]].date)
+    )
+    .slice(0, limit)
+    .map(([doc, score]) => {
+      const { slug, date, title, excerpt, text } = index.docs[doc];
+      return {
+        slug,
+        date,
+        title: highlight(title, matchRanges(title, queryTerms)),
+        snippet: snippet(text || excerpt, queryTerms),
+        score,
+      };
+    });
+}
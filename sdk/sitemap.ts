@@ -0,0 +1,143 @@
+import type { BlogPost } from "apps/blog/types.ts";
+import { escapeXml } from "site/sdk/feeds.ts";
+import { postLanguage } from "site/sdk/postFilters.ts";
+import type { PostLanguages } from "site/sdk/translations.ts";
+
+/**
+ * sitemap.xml for the blog, following https://www.sitemaps.org/protocol.html.
+ * Every post is listed at /blog/:slug and at /:lang/blog/:slug for each
+ * language it can be read in, and each of those URLs carries the full set of
+ * language variants as xhtml:link alternates.
+ */
+
+export interface SitemapAlternate {
+  hreflang: string;
+  href: string;
+}
+
+export interface SitemapUrl {
+  loc: string;
+  /** W3C datetime, e.g. 2025-08-16 */
+  lastmod?: string;
+  alternates?: SitemapAlternate[];
+}
+
+export const SITEMAP_PATH = "/sitemap.xml";
+/** The protocol allows 50,000 URLs per file; stay well below it */
+export const SITEMAP_PAGE_SIZE = 5_000;
+
+export const sitemapPagePath = (page: number) => `/sitemap-${page}.xml`;
+/** Route template for the pages, see `sitemapPagePath` */
+export const SITEMAP_PAGE_TEMPLATE = "/sitemap-:page.xml";
+export const SITEMAP_PAGE_PATTERN = /^\/sitemap-(\d+)\.xml$/;
+
+const day = (date?: string | null) => {
+  const time = date ? new Date(date).getTime() : NaN;
+  return isNaN(time) ? undefined : new Date(time).toISOString().slice(0, 10);
+};
+
+/** Latest of the given dates, as YYYY-MM-DD */
+const latest = (...dates: Array<string | null | undefined>) =>
+  dates.map(day).filter(Boolean).sort().at(-1);
+
+/** When the post last changed: `updatedAt` when it was edited, else `date` */
+export const postLastmod = (post: BlogPost) =>
+  latest((post as BlogPost & { updatedAt?: string }).updatedAt, post.date);
+
+/**
+ * URLs for every post and its translations. `translations` comes from the
+ * translations server; posts it does not know about are listed in their
+ * detected language only.
+ */
+export function blogSitemapUrls(
+  origin: string,
+  posts: BlogPost[],
+  translations: PostLanguages[],
+  languages: string[],
+): SitemapUrl[] {
+  const byPost = new Map(translations.map((t) => [t.postId, t]));
+
+  return posts.flatMap((post) => {
+    const known = byPost.get(post.slug);
+    const lastmod = postLastmod(post);
+    const variants = [
+      {
+        language: known?.originalLanguage ?? postLanguage(post),
+        lastmod,
+      },
+      ...(known?.translations ?? []).map((t) => ({
+        language: t.languageCode,
+        lastmod: latest(lastmod, t.translatedAt),
+      })),
+    ].filter(({ language }) => languages.includes(language));
+
+    const defaultUrl = `${origin}/blog/${post.slug}`;
+    const alternates: SitemapAlternate[] = [
+      ...variants.map(({ language }) => ({
+        hreflang: language,
+        href: `${origin}/${language}/blog/${post.slug}`,
+      })),
+      { hreflang: "x-default", href: defaultUrl },
+    ];
+
+    return [
+      { loc: defaultUrl, lastmod, alternates },
+      ...variants.map(({ language, lastmod }) => ({
+        loc: `${origin}/${language}/blog/${post.slug}`,
+        lastmod,
+        alternates,
+      })),
+    ];
+  });
+}
+
+export function toUrlset(urls: SitemapUrl[]): string {
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">`,
+    ...urls.map(({ loc, lastmod, alternates = [] }) =>
+      [
+        "<url>",
+        `<loc>${escapeXml(loc)}</loc>`,
+        lastmod ? `<lastmod>${lastmod}</lastmod>` : "",
+        ...alternates.map(({ hreflang, href }) =>
+          `<xhtml:link rel="alternate" hreflang="${
+            escapeXml(hreflang)
+          }" href="${escapeXml(href)}"/>`
+        ),
+        "</url>",
+      ].join("")
+    ),
+    "</urlset>",
+  ].join("\n");
+}
+
+export function toSitemapIndex(
+  sitemaps: Array<{ loc: string; lastmod?: string }>,
+): string {
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`,
+    ...sitemaps.map(({ loc, lastmod }) =>
+      `<sitemap><loc>${escapeXml(loc)}</loc>${
+        lastmod ? `<lastmod>${lastmod}</lastmod>` : ""
+      }</sitemap>`
+    ),
+    "</sitemapindex>",
+  ].join("\n");
+}
+
+/**
+ * Splits `urls` into pages of `pageSize`. A single page is served as is;
+ * more than that turns /sitemap.xml into an index of /sitemap-:n.xml files.
+ */
+export function paginateSitemap(urls: SitemapUrl[], pageSize: number) {
+  const pages: SitemapUrl[][] = [];
+  for (let i = 0; i < urls.length; i += pageSize) {
+    pages.push(urls.slice(i, i + pageSize));
+  }
+  return pages.length ? pages : [[]];
+}
+
+export const pageLastmod = (urls: SitemapUrl[]) =>
+  latest(...urls.map((url) => url.lastmod));
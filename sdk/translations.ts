@@ -0,0 +1,152 @@
+/**
+ * Client for the translation tools exposed by the vibegui-internal MCP
+ * server (see vibegui-internal/server/tools.ts). Translations live in its
+ * D1 `post_translations` table, keyed by the post slug.
+ */
+
+export interface TranslatedPost {
+  id: string;
+  originalSlug: string;
+  title: string;
+  excerpt: string;
+  content: string;
+  language: string;
+  isTranslated: boolean;
+  authorName: string | null;
+  publishedDate: string | null;
+  interactionCount: number;
+}
+
+export interface TranslationLookup {
+  post: TranslatedPost | null;
+  /** The language has no translation, even if a fallback was served */
+  needsTranslation: boolean;
+}
+
+export interface LanguageFallback {
+  /** @description Language code as in the URL, e.g. pt-br */
+  language: string;
+  /** @description Languages to serve instead, in order; "original" is the post's own language */
+  fallback: string[];
+}
+
+const TIMEOUT_MS = 5_000;
+const CACHE_TTL_MS = 5 * 60 * 1_000;
+
+const cache = new Map<string, { expires: number; value: Promise<unknown> }>();
+
+interface JsonRpcResponse {
+  error?: { message: string };
+  result?: {
+    isError?: boolean;
+    structuredContent?: unknown;
+    content?: { type: string; text?: string }[];
+  };
+}
+
+const parseRpcResponse = async (res: Response): Promise<JsonRpcResponse> => {
+  const body = await res.text();
+  if (!(res.headers.get("content-type") ?? "").includes("event-stream")) {
+    return JSON.parse(body);
+  }
+  // Streamable HTTP transport: the response is the last `data:` event
+  const events = body.split("\n").filter((line) => line.startsWith("data:"));
+  return JSON.parse(events.at(-1)?.slice("data:".length) ?? "{}");
+};
+
+/** Calls a tool on an MCP server over the Streamable HTTP transport */
+export async function callTool<T>(
+  url: string,
+  name: string,
+  args: Record<string, unknown>,
+  timeoutMs = TIMEOUT_MS,
+): Promise<T> {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      accept: "application/json, text/event-stream",
+    },
+    body: JSON.stringify({
+      jsonrpc: "2.0",
+      id: crypto.randomUUID(),
+      method: "tools/call",
+      params: { name, arguments: args },
+    }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) {
+    throw new Error(`${name} failed with HTTP ${res.status}`);
+  }
+
+  const { error, result } = await parseRpcResponse(res);
+  const text = result?.content?.find((c) => c.type === "text")?.text;
+  if (error || result?.isError) {
+    throw new Error(`${name} failed: ${error?.message ?? text}`);
+  }
+  return (result?.structuredContent ?? JSON.parse(text ?? "null")) as T;
+}
+
+const cached = <T>(key: string, fn: () => Promise<T>): Promise<T> => {
+  const hit = cache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.value as Promise<T>;
+  const value = fn();
+  cache.set(key, { expires: Date.now() + CACHE_TTL_MS, value });
+  // Do not keep failures around, the server may be back on the next request
+  value.catch(() => cache.delete(key));
+  return value;
+};
+
+/**
+ * Post `postId` (the original slug) in `languageCode`, original or
+ * translated. Without a translation the server serves the first language of
+ * `fallback` it has; by default the base language, then the original.
+ */
+export const getPostInLanguage = (
+  url: string,
+  postId: string,
+  languageCode: string,
+  fallback?: string[],
+) =>
+  cached(
+    `${url}|${postId}|${languageCode}|${fallback?.join(",") ?? ""}`,
+    () =>
+      callTool<TranslationLookup>(url, "GET_BLOG_POST_WITH_TRANSLATION", {
+        postId,
+        languageCode,
+        fallback,
+      }),
+  );
+
+export interface PostLanguages {
+  postId: string;
+  originalLanguage: string;
+  updatedAt: string | null;
+  translations: { languageCode: string; translatedAt: string | null }[];
+}
+
+/** Languages every post can be read in, original and translated */
+export const listPostTranslations = (url: string) =>
+  cached(
+    `${url}|LIST_POST_TRANSLATIONS`,
+    () =>
+      callTool<{ posts: PostLanguages[] }>(url, "LIST_POST_TRANSLATIONS", {})
+        .then(({ posts }) => posts),
+  );
+
+/**
+ * D1 stores post content as plain text, and translations are made from it.
+ * Wrap plain text in paragraphs so it renders like the HTML blocks do.
+ */
+export const ensureHtml = (content: string) =>
+  /<[a-z][^>]*>/i.test(content) ? content : content
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) =>
+      `<p>${
+        p.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+          .replace(/\n/g, "<br>")
+      }</p>`
+    )
+    .join("");
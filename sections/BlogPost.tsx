@@ -1,25 +1,123 @@
 import { type BlogPost, BlogPostPage } from "apps/blog/types.ts";
 import Image from "apps/website/components/Image.tsx";
-import Icon from "site/components/ui/Icon.tsx";
+import { Head } from "@deco/deco/htmx";
+import { useScript } from "@deco/deco/hooks";
+import type { SectionProps } from "@deco/deco";
+import type { AppContext } from "site/apps/site.ts";
+import PostGallery from "site/components/blog/PostGallery.tsx";
+import PostSeo from "site/components/blog/PostSeo.tsx";
+import ShareButtons from "site/components/blog/ShareButtons.tsx";
+import TableOfContents from "site/components/blog/TableOfContents.tsx";
+import type { LocalizedBlogPostPage } from "site/loaders/blog/LocalizedBlogPostPage.ts";
+import { type AuthorProfile, resolveAuthors } from "site/sdk/authors.ts";
+import {
+  findBlockBySlug,
+  isPreview,
+  postDescription,
+  postTitle,
+  postVisibility,
+} from "site/sdk/blog.ts";
+import { processContent } from "site/sdk/content.ts";
+import { splitGalleries } from "site/sdk/gallery.ts";
+import { languageName, readingTimeLabel } from "site/sdk/language.ts";
+import { isVisibleCategory, postLanguage } from "site/sdk/postFilters.ts";
+import { sanitizePostHtml } from "site/sdk/sanitize.ts";
+import { useId } from "site/sdk/useId.ts";
 
 interface Props {
   /**
    * @description The description of name.
    */
-  page?: BlogPostPage | null;
+  page?: BlogPostPage | LocalizedBlogPostPage | null;
+  /**
+   * @title Table of contents
+   * @description Minimum number of headings for a post to get one
+   * @default 3
+   */
+  tocMinHeadings?: number;
+}
+
+/**
+ * Preferred URL of the page: for fallbacks, the page of the language served
+ * when there is one; the page itself otherwise
+ */
+function canonicalUrl(
+  page: BlogPostPage | LocalizedBlogPostPage,
+  url: URL,
+) {
+  if (
+    isLocalized(page) && page.isFallback &&
+    page.alternates.some((alternate) => alternate.language === page.language)
+  ) {
+    return `${url.origin}/${page.language}/blog/${page.post.slug}`;
+  }
+  return `${url.origin}${url.pathname}`;
 }
 
+export const loader = async (
+  props: Props,
+  req: Request,
+  ctx: AppContext,
+) => {
+  const url = new URL(req.url);
+  const slug = props.page?.post?.slug;
+  const entry = slug ? await findBlockBySlug(slug) : null;
+  const visibility = entry ? postVisibility(entry.block.post) : "listed";
+  const preview = isPreview(req, ctx.blog?.previewToken?.get?.());
+  const hidden = visibility === "hidden" && !preview;
+  if (hidden) {
+    ctx.response.status = 404;
+  } else if (preview) {
+    ctx.response.headers.set("cache-control", "private, no-store");
+  }
+  // Nothing of a draft reaches the page without the preview token
+  const page = hidden ? null : props.page;
+  const post = page?.post ?? DEFAULT_PROPS;
+  const language = isLocalized(page) ? page.language : postLanguage(post);
+  return {
+    ...props,
+    page,
+    // Heading ids and anchors, plus the TOC and reading time from them
+    content: processContent(
+      sanitizePostHtml(post.content ?? "", `post ${post.slug} (${language})`),
+      language,
+    ),
+    // Job title, company, bio and links from the authors registry
+    authors: await resolveAuthors(
+      post.authors ?? [],
+    ),
+    canonical: page ? canonicalUrl(page, url) : url.href,
+    hidden,
+    // Unlisted posts and previews stay out of search engines
+    noindex: visibility !== "listed" || preview,
+    seo: {
+      titleTemplate: ctx.seo?.titleTemplate,
+      siteName: url.host,
+    },
+  };
+};
+
 const PARAGRAPH_STYLES = "[&_p]:leading-[150%] [&_*]:mb-4";
 const HEADING_STYLES =
   "[&>h1]:text-4xl [&>h1]:my-6 [&>h1]:font-bold [&>h2]:text-3xl [&>h2]:my-6 [&>h2]:font-bold [&>h3]:text-2xl [&>h3]:my-6 [&>h3]:font-bold [&>h4]:text-xl [&>h4]:my-6 [&>h4]:font-bold [&>h5]:text-lg [&>h5]:my-6 [&>h5]:font-bold [&>h6]:text-base [&>h6]:my-6 [&>h6]:font-bold";
+// Code blocks come from sdk/highlight.ts, wrapped with a header and a copy button
 const CODE_BLOCK_STYLES =
-  "[&>pre]:bg-gray-100 [&>pre]:text-gray-800 [&>pre]:p-4 [&>pre]:font-mono [&>pre]:text-sm [&>pre]:border [&>pre]:rounded-md [&>pre]:overflow-x-auto [&>code]:block [&>code]:w-full";
+  "[&_.code-block]:my-6 [&_.code-block]:rounded-md [&_.code-block]:overflow-hidden [&_.code-block]:bg-neutral [&_.code-block]:text-neutral-content [&_.code-block_*]:mb-0 [&_.code-header]:flex [&_.code-header]:items-center [&_.code-header]:justify-between [&_.code-header]:px-4 [&_.code-header]:py-1 [&_.code-header]:text-xs [&_.code-header]:border-b [&_.code-header]:border-neutral-content/20 [&_.code-copy]:px-2 [&_.code-copy]:py-1 [&_.code-copy]:rounded [&_.code-copy:hover]:bg-neutral-content/20 [&_pre]:p-4 [&_pre]:font-mono [&_pre]:text-sm [&_pre]:overflow-x-auto [&>code]:block [&>code]:w-full";
+// Token colors from the theme, readable on the neutral background
+const TOKEN_STYLES =
+  "[&_.hljs-keyword]:text-secondary [&_.hljs-meta]:text-secondary [&_.hljs-selector-tag]:text-secondary [&_.hljs-string]:text-warning [&_.hljs-regexp]:text-warning [&_.hljs-number]:text-info [&_.hljs-literal]:text-info [&_.hljs-attr]:text-info [&_.hljs-property]:text-info [&_.hljs-title]:text-success [&_[class*=hljs-built]]:text-accent [&_.hljs-type]:text-accent [&_.hljs-variable]:text-error [&_.hljs-comment]:italic [&_.hljs-comment]:opacity-60 [&_.hljs-addition]:text-success [&_.hljs-deletion]:text-error";
 const IMAGE_STYLES = "[&_img]:rounded-2xl [&_img]:w-full [&_img]:my-12";
 const BLOCKQUOTE_STYLES =
   "[&>blockquote]:my-6 [&>blockquote]:border-l-2 [&>blockquote]:border-black [&>blockquote]:text-xl [&>blockquote]:italic [&>blockquote]:pl-6";
+const LIST_STYLES =
+  "[&_ul]:list-disc [&_ul]:pl-6 [&_ol]:list-decimal [&_ol]:pl-6 [&_li]:mb-1 [&_ul[data-bullets=emoji]]:list-none [&_ul[data-bullets=emoji]]:pl-0";
+const LINK_STYLES =
+  "[&_a]:underline [&_a]:underline-offset-2 [&_a:hover]:text-primary";
+const ANCHOR_STYLES =
+  "[&_:is(h1,h2,h3,h4,h5,h6)]:scroll-mt-8 [&_.heading-anchor]:ml-2 [&_.heading-anchor]:no-underline [&_.heading-anchor]:text-primary [&_.heading-anchor]:opacity-0 [&_:hover>.heading-anchor]:opacity-100 [&_.heading-anchor:focus]:opacity-100";
 
 const CONTENT_STYLES =
-  `max-w-3xl mx-auto ${PARAGRAPH_STYLES} ${HEADING_STYLES} ${CODE_BLOCK_STYLES} ${IMAGE_STYLES} ${BLOCKQUOTE_STYLES}`;
+  `max-w-3xl mx-auto ${PARAGRAPH_STYLES} ${HEADING_STYLES} ${CODE_BLOCK_STYLES} ${TOKEN_STYLES} ${IMAGE_STYLES} ${BLOCKQUOTE_STYLES} ${LIST_STYLES} ${LINK_STYLES} ${ANCHOR_STYLES}`;
 
 const DEFAULT_AVATAR =
   "https://ozksgdmyrqcxcwhnbepg.supabase.co/storage/v1/object/public/assets/1527/7286de42-e9c5-4fcb-ae8b-b992eea4b78e";
@@ -43,27 +141,156 @@ const DEFAULT_PROPS: BlogPost = {
     '<h1>Heading 1</h1><p>This is a paragraph under <strong>Heading 1</strong>. It can contain <em>italic</em> text, <strong>bold</strong> text, and even <code>code snippets</code>.</p><h2>Introduction</h2><p>Mi tincidunt elit, id quisque ligula ac diam, amet. Vel etiam suspendisse morbi eleifend faucibus eget vestibulum felis. Dictum quis montes, sit sit. Tellus aliquam enim urna, etiam. Mauris posuere vulputate arcu amet, vitae nisi, tellus tincidunt. At feugiat sapien varius id.</p><p>Eget quis mi enim, leo lacinia pharetra, semper. Eget in volutpat mollis at volutpat lectus velit, sed auctor. Porttitor fames arcu quis fusce augue enim. Quis at habitant diam at. Suscipit tristique risus, at donec. In turpis vel et quam imperdiet. Ipsum molestie aliquet sodales id est ac volutpat.</p><h2>Heading 2</h2><p>More text can be placed here. This section is under <strong>Heading 2</strong>.</p><h3>Heading 3 with Code Block</h3><p>This is an example of a code block:</p><pre><code>// This is a code block console.log("Hello, World!");</code></pre><h4>Heading 4 with Image</h4><p>Below is an image:</p><img src="https://ozksgdmyrqcxcwhnbepg.supabase.co/storage/v1/object/public/assets/4763/682eb374-def2-4e85-a45d-b3a7ff8a31a9" alt="Description of Image"><p><strong>Dolor enim eu tortor urna sed duis nulla. Aliquam vestibulum, nulla odio nisl vitae. In aliquet pellentesque aenean hac vestibulum turpis mi bibendum diam. Tempor integer aliquam in vitae malesuada fringilla.</strong></p><p>Collaboratively deploy intuitive partnerships whereas customized e-markets. Energistically maintain performance based strategic theme areas whereas just in time methodologies. Phosfluorescently drive functionalized intellectual capital and.</p><blockquote>"Ipsum sit mattis nulla quam nulla. Gravida id gravida ac enim mauris id. Non pellentesque congue eget consectetur turpis. Sapien, dictum molestie sem tempor. Diam elit, orci, tincidunt aenean tempus."</blockquote><p>Tristique odio senectus nam posuere ornare leo metus, ultricies. Blandit duis ultricies vulputate morbi feugiat cras placerat elit. Aliquam tellus lorem sed ac. Montes, sed mattis pellentesque suscipit accumsan. Cursus viverra aenean magna risus elementum faucibus molestie pellentesque. Arcu ultricies sed mauris vestibulum.<h2>Conclusion</h2><p>Morbi sed imperdiet in ipsum, adipiscing elit dui lectus. Tellus id scelerisque est ultricies ultricies. Duis est sit sed leo nisl, blandit elit sagittis. Quisque tristique consequat quam sed. Nisl at scelerisque amet nulla purus habitasse.</p><p>Nunc sed faucibus bibendum feugiat sed interdum. Ipsum egestas condimentum mi massa. In tincidunt pharetra consectetur sed duis facilisis metus. Etiam egestas in nec sed et. Quis lobortis at sit dictum eget nibh tortor commodo cursus.</p><p>Odio felis sagittis, morbi feugiat tortor vitae feugiat fusce aliquet. Nam elementum urna nisi aliquet erat dolor enim. Ornare id morbi eget ipsum. Aliquam senectus neque ut id eget consectetur dictum. Donec posuere pharetra odio consequat scelerisque et, nunc tortor. Nulla adipiscing erat a erat. Condimentum lorem posuere gravida enim posuere cursus diam.</p>',
 };
 
-function SocialIcons() {
+const TOC_TITLE: Record<string, string> = {
+  pt: "Neste post",
+  en: "In this post",
+};
+
+const FALLBACK_NOTICE: Record<
+  string,
+  (served: string, isOriginal: boolean) => string
+> = {
+  pt: (served, isOriginal) =>
+    `Este post ainda não foi traduzido para o português. Você está lendo ${
+      isOriginal ? "o original" : "a tradução"
+    } em ${served}.`,
+  en: (served, isOriginal) =>
+    `This post has not been translated to English yet. You are reading ${
+      isOriginal ? "the original" : "the translation"
+    } in ${served}.`,
+};
+
+const isLocalized = (
+  page?: BlogPostPage | LocalizedBlogPostPage | null,
+): page is LocalizedBlogPostPage => !!page && "alternates" in page;
+
+function LanguageBar({ page }: { page: LocalizedBlogPostPage }) {
+  const notice = FALLBACK_NOTICE[page.requestedLanguage] ??
+    FALLBACK_NOTICE.en;
+  const languages = page.alternates.filter((alternate) =>
+    alternate.language !== "x-default"
+  );
+
   return (
-    <div class="flex gap-2">
-      <div class="bg-gray-200 rounded-full p-1">
-        <Icon id="Link" size={24} />
-      </div>
-      <div class="bg-gray-200 rounded-full p-1">
-        <Icon id="LinkedinOutline" size={24} />
-      </div>
-      <div class="bg-gray-200 rounded-full p-1">
-        <Icon id="TwitterOutline" size={24} />
-      </div>
-      <div class="rounded-full bg-gray-200 p-1">
-        <Icon id="FacebookOutline" size={24} />
+    <div class="flex flex-col gap-4">
+      {page.isFallback && (
+        <p class="text-base bg-base-200 rounded-lg px-4 py-3">
+          {notice(
+            languageName(page.language),
+            page.language === page.originalLanguage,
+          )}
+        </p>
+      )}
+      {languages.length > 1 && (
+        <div class="flex flex-wrap gap-2 text-sm">
+          {languages.map(({ language, url }) => (
+            <a
+              href={new URL(url).pathname}
+              hrefLang={language}
+              aria-current={language === page.language ? "page" : undefined}
+              class={`badge badge-lg ${
+                language === page.language ? "badge-primary" : "badge-outline"
+              }`}
+            >
+              {languageName(language)}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AuthorBio({ author }: { author: AuthorProfile }) {
+  const role = [author.jobTitle, author.company].filter(Boolean).join(", ");
+
+  return (
+    <div className="flex items-start gap-4">
+      <Image
+        className="object-cover w-14 h-14 rounded-full"
+        alt={author.name}
+        src={author.avatar || DEFAULT_AVATAR}
+        width={56}
+        height={56}
+      />
+      <div className="flex flex-col gap-1">
+        <p className="font-semibold text-base">{author.name}</p>
+        {role && <p className="text-base">{role}</p>}
+        {author.bio && <p className="text-base mt-2">{author.bio}</p>}
+        {!!author.links?.length && (
+          <div class="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-sm">
+            {author.links.map(({ label, url }) => (
+              <a
+                href={url}
+                target="_blank"
+                rel="noopener noreferrer me"
+                class="underline underline-offset-2 hover:text-primary"
+              >
+                {label}
+              </a>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
 }
 
-export default function BlogPost({ page }: Props) {
-  const { title, authors, image, date, content } = page?.post || DEFAULT_PROPS;
+const COPIED_MS = 2000;
+
+// Runs in the browser: copy buttons of the code blocks in `rootId`
+const copyCode = (rootId: string, copiedMs: number) => {
+  document.getElementById(rootId)?.addEventListener("click", async (event) => {
+    const button = (event.target as HTMLElement).closest<HTMLElement>(
+      "[data-copy-code]",
+    );
+    const code = button?.closest(".code-block")?.querySelector("code");
+    if (!button || !code) return;
+    try {
+      await navigator.clipboard.writeText(code.textContent ?? "");
+      button.textContent = "Copied!";
+      setTimeout(() => (button.textContent = "Copy"), copiedMs);
+    } catch (_) {
+      // Clipboard access denied: the code can still be selected
+    }
+  });
+};
+
+/** Shown instead of drafts and scheduled posts, which answer 404 */
+function PostNotFound() {
+  return (
+    <div class="container mx-auto px-4 py-28 max-w-3xl flex flex-col gap-4">
+      <h1 class="text-5xl font-bold">Post not found</h1>
+      <a href="/blog" class="underline underline-offset-2">
+        See all posts
+      </a>
+    </div>
+  );
+}
+
+export default function BlogPost(props: SectionProps<typeof loader>) {
+  return props.hidden ? <PostNotFound /> : <Post {...props} />;
+}
+
+function Post(
+  {
+    page,
+    canonical,
+    seo,
+    authors,
+    content,
+    noindex,
+    tocMinHeadings = 3,
+  }: SectionProps<typeof loader>,
+) {
+  const post = page?.post || DEFAULT_PROPS;
+  const { title, image, date } = post;
+  const tags = (post.categories ?? []).filter(isVisibleCategory);
+  const localized = isLocalized(page) ? page : null;
+  const contentId = useId();
+  const uiLanguage = localized?.language ?? "en";
+  const toc = content.toc.length >= tocMinHeadings ? content.toc : [];
+  const tocTitle = TOC_TITLE[uiLanguage] ?? TOC_TITLE.en;
 
   const formattedDate = new Date(date).toLocaleDateString("en-US", {
     year: "numeric",
@@ -72,8 +299,33 @@ export default function BlogPost({ page }: Props) {
   });
 
   return (
-    <div className="w-full flex flex-col gap-20 container mx-auto px-4 md:px-0 py-12 lg:py-28">
+    <div
+      className="w-full flex flex-col gap-20 container mx-auto px-4 md:px-0 py-12 lg:py-28"
+      lang={localized?.language}
+    >
+      {page?.post && (
+        <PostSeo
+          post={page.post}
+          authors={authors}
+          canonical={canonical}
+          language={localized?.language}
+          {...seo}
+        />
+      )}
+      {noindex && (
+        <Head>
+          <meta key="robots" name="robots" content="noindex" />
+        </Head>
+      )}
+      {localized && (
+        <Head>
+          {localized.alternates.map(({ language, url }) => (
+            <link rel="alternate" hrefLang={language} href={url} />
+          ))}
+        </Head>
+      )}
       <div className="w-full flex flex-col gap-12 max-w-3xl lg:mx-auto">
+        {localized && <LanguageBar page={localized} />}
         <h1 className="text-5xl font-bold">{title}</h1>
         <div className="flex items-center gap-4">
           <Image
@@ -87,7 +339,12 @@ export default function BlogPost({ page }: Props) {
             <p className="font-semibold text-base">
               {authors.map((author) => author.name).join(", ")}
             </p>
-            <p className="text-base">{formattedDate}</p>
+            <p className="text-base">
+              {formattedDate} · {readingTimeLabel(
+                content.readingMinutes,
+                uiLanguage,
+              )}
+            </p>
           </div>
         </div>
       </div>
@@ -98,52 +355,84 @@ export default function BlogPost({ page }: Props) {
           src={image}
         />
       )}
-      <div
-        class={CONTENT_STYLES}
-        dangerouslySetInnerHTML={{
-          __html: content,
-        }}
-      >
+      <div class="xl:grid xl:grid-cols-[1fr_minmax(0,48rem)_1fr] xl:gap-12">
+        <div id={contentId} class="flex flex-col xl:col-start-2">
+          {toc.length > 0 && (
+            <details class="xl:hidden max-w-3xl w-full mx-auto mb-8 border border-secondary rounded-lg p-4">
+              <summary class="cursor-pointer font-bold">{tocTitle}</summary>
+              <div class="mt-4">
+                <TableOfContents
+                  entries={toc}
+                  title={tocTitle}
+                  showTitle={false}
+                />
+              </div>
+            </details>
+          )}
+          {splitGalleries(content.html).map((segment) =>
+            segment.type === "gallery"
+              ? (
+                <div class="max-w-3xl w-full mx-auto">
+                  <PostGallery images={segment.images} />
+                </div>
+              )
+              : (
+                <div
+                  class={CONTENT_STYLES}
+                  dangerouslySetInnerHTML={{
+                    __html: segment.html,
+                  }}
+                >
+                </div>
+              )
+          )}
+          <script
+            type="module"
+            dangerouslySetInnerHTML={{
+              __html: useScript(copyCode, contentId, COPIED_MS),
+            }}
+          />
+        </div>
+        {toc.length > 0 && (
+          <aside class="hidden xl:block">
+            <div class="sticky top-8 max-h-[calc(100vh-4rem)] overflow-y-auto">
+              <TableOfContents entries={toc} title={tocTitle} />
+            </div>
+          </aside>
+        )}
       </div>
       <div class="flex flex-col gap-10 max-w-3xl w-full mx-auto">
         <div class="space-y-4">
           <p class="text-lg font-bold">Share this post</p>
           <div class="flex flex-col gap-8 md:flex-row justify-between">
-            <SocialIcons />
-            <div class="flex gap-2 text-white text-xs">
-              <p class="flex items-center bg-zinc-700 py-2 px-4 rounded-full">
-                Tag #1
-              </p>
-              <p class="flex items-center bg-zinc-700 py-2 px-4 rounded-full">
-                Tag #2
-              </p>
-              <p class="flex items-center bg-zinc-700 py-2 px-4 rounded-full">
-                Tag #3
-              </p>
-            </div>
+            <ShareButtons
+              url={canonical}
+              title={postTitle(post)}
+              text={postDescription(post)}
+            />
+            {tags.length > 0 && (
+              <div class="flex flex-wrap gap-2 text-white text-xs">
+                {tags.map((tag) => (
+                  <a
+                    href={`/blog/category/${tag.slug}`}
+                    rel="tag"
+                    class="flex items-center bg-zinc-700 py-2 px-4 rounded-full"
+                  >
+                    {tag.name}
+                  </a>
+                ))}
+              </div>
+            )}
           </div>
         </div>
         {/* divider zinc-300 */}
         <div class="w-full h-px bg-zinc-300"></div>
-        <div className="flex items-center gap-4">
-          <Image
-            className="object-cover w-14 h-14 rounded-full"
-            alt={authors[0]?.name}
-            src={authors[0]?.avatar || ""}
-            width={56}
-            height={56}
+        {authors.map((author) => (
+          <AuthorBio
+            key={author.name}
+            author={author}
           />
-          <div className="flex flex-col">
-            <p className="font-semibold text-base">
-              {authors[0].name}
-            </p>
-            <p className="text-base">
-              {`${authors[0].jobTitle ?? "Job Title"}, ${
-                authors[0].company || "Company"
-              }`}
-            </p>
-          </div>
-        </div>
+        ))}
       </div>
     </div>
   );
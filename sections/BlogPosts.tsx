@@ -4,6 +4,25 @@ import { ComponentChildren, Fragment } from "preact";
 import { BlogPost } from "apps/blog/types.ts";
 import { useId } from "../sdk/useId.ts";
 import { useSection as useSection } from "@deco/deco/hooks";
+import type { SectionProps } from "@deco/deco";
+import { Head } from "@deco/deco/htmx";
+import { getBlogPosts } from "site/sdk/blog.ts";
+import { postReadingMinutes } from "site/sdk/content.ts";
+import { FEED_PATHS } from "site/sdk/feeds.ts";
+import { languageName, readingTimeLabel } from "site/sdk/language.ts";
+import { postImage } from "site/sdk/ogImage.ts";
+import {
+  type FacetValue,
+  FILTER_PARAMS,
+  filterPosts,
+  filtersFromUrl,
+  filterUrl,
+  isVisibleCategory,
+  postFacets,
+  type PostFilters,
+  postTags,
+  tagSlug,
+} from "site/sdk/postFilters.ts";
 export interface CTA {
   text?: string;
 }
@@ -20,7 +39,26 @@ export interface Post {
 }
 export interface Props {
   cta?: CTA;
+  /**
+   * @description Posts to list. Leave empty to list every post in the blog
+   */
   posts?: BlogPost[] | null;
+  /**
+   * @description When set, posts link to their page in this language, e.g. /pt/blog/:slug
+   */
+  language?: string;
+  /**
+   * @description Only list posts in this category (slug), e.g. from /blog/category/:slug
+   */
+  category?: string;
+  /**
+   * @description Only list posts with this hashtag (slug), e.g. from /blog/tag/:slug
+   */
+  tag?: string;
+  /**
+   * @description Show a filter bar for category, year and language. Filters are kept in the URL query
+   */
+  showFilters?: boolean;
   pagination?: {
     /**
      * @title First page
@@ -40,12 +78,169 @@ function Container({ children }: {
     </div>
   );
 }
+/** Heading for /blog/category/:slug and /blog/tag/:slug, with the name as written in the posts */
+function listingHeading(posts: BlogPost[], { category, tag }: Props) {
+  if (tag) {
+    const name = posts.flatMap(postTags).find((t) => tagSlug(t) === tag);
+    return `#${name ?? tag}`;
+  }
+  if (category) {
+    const name = posts
+      .flatMap((post) => post.categories ?? [])
+      .find((c) => c.slug === category)?.name;
+    return name ?? category;
+  }
+  return null;
+}
+
+export const loader = async (props: Props, req: Request) => {
+  const url = new URL(req.url);
+  const listed = await getBlogPosts();
+  // Posts passed in (e.g. from the blog app) are held to the same status rules
+  const slugs = new Set(listed.map((post) => post.slug));
+  const all = props.posts
+    ? props.posts.filter((post) => slugs.has(post.slug))
+    : listed;
+  // Fixed filters from the page path win over the query string
+  const filters: PostFilters = {
+    ...filtersFromUrl(url),
+    ...(props.category ? { category: props.category } : {}),
+    ...(props.tag ? { tag: props.tag } : {}),
+  };
+
+  const posts = filterPosts(all, filters);
+
+  return {
+    ...props,
+    posts,
+    heading: listingHeading(posts, props),
+    filters,
+    facets: props.showFilters ? postFacets(all) : null,
+    url: url.href,
+  };
+};
+
+const categoryUrl = (slug: string) => `/blog/category/${slug}`;
+
+/** RSS feed with the same category and language as the listing */
+function feedUrl({ category, lang }: PostFilters) {
+  const params = new URLSearchParams();
+  if (category) params.set("category", category);
+  if (lang) params.set("lang", lang);
+  return `${FEED_PATHS.rss}?${params}`;
+}
+
+interface FilterContext {
+  url: URL;
+  perPage: number;
+}
+
+function FilterOption({ text, href, isActive, context }: {
+  text: string;
+  href: string;
+  isActive: boolean;
+  context: FilterContext;
+}) {
+  return (
+    <a
+      href={href}
+      hx-get={useSection({
+        href,
+        props: { pagination: { page: 0, perPage: context.perPage } },
+      })}
+      hx-target="closest section"
+      hx-swap="outerHTML"
+      hx-push-url={href}
+      aria-current={isActive ? "true" : undefined}
+      class={`badge badge-lg ${isActive ? "badge-primary" : "badge-outline"}`}
+    >
+      {text}
+    </a>
+  );
+}
+
+function FilterGroup(
+  { label, param, values, active, context, render }: {
+    label: string;
+    param: typeof FILTER_PARAMS[number];
+    values: FacetValue[];
+    active?: string;
+    context: FilterContext;
+    render?: (value: FacetValue) => string;
+  },
+) {
+  if (values.length < 2 && !active) return null;
+
+  return (
+    <div class="flex flex-wrap items-center gap-2">
+      <span class="font-semibold mr-2">{label}</span>
+      <FilterOption
+        text="All"
+        href={filterUrl(context.url, param)}
+        isActive={!active}
+        context={context}
+      />
+      {values.map((value) => (
+        <FilterOption
+          text={`${render ? render(value) : value.label} (${value.count})`}
+          href={filterUrl(context.url, param, value.value)}
+          isActive={active === value.value}
+          context={context}
+        />
+      ))}
+    </div>
+  );
+}
+
+function FilterBar({ facets, filters, fixed, context }: {
+  facets: NonNullable<SectionProps<typeof loader>["facets"]>;
+  filters: PostFilters;
+  fixed: PostFilters;
+  context: FilterContext;
+}) {
+  return (
+    <div class="flex flex-col gap-3">
+      {!fixed.category && (
+        <FilterGroup
+          label="Category"
+          param="category"
+          values={facets.categories.slice(0, 12)}
+          active={filters.category}
+          context={context}
+        />
+      )}
+      <FilterGroup
+        label="Year"
+        param="year"
+        values={facets.years}
+        active={filters.year}
+        context={context}
+      />
+      <FilterGroup
+        label="Language"
+        param="lang"
+        values={facets.languages}
+        active={filters.lang}
+        context={context}
+        render={(value) => languageName(value.value)}
+      />
+    </div>
+  );
+}
+
 export default function BlogPosts(
   {
     cta = { text: "Show more" },
     posts,
+    language,
+    category,
+    tag,
+    heading,
+    filters,
+    facets,
+    url,
     pagination: { page = 0, perPage = 6 } = {},
-  }: Props,
+  }: SectionProps<typeof loader>,
 ) {
   const from = perPage * page;
   const to = perPage * (page + 1);
@@ -58,45 +253,70 @@ export default function BlogPosts(
       pagination: { perPage, page: page + 1 },
     },
   });
-  // Reading time removed per request
   const ContainerComponent = page === 0 ? Container : Fragment;
   return (
     <ContainerComponent>
       <>
+        {page === 0 && (filters.category || filters.lang) && (
+          <Head>
+            <link
+              rel="alternate"
+              type="application/rss+xml"
+              title={heading ?? undefined}
+              href={feedUrl(filters)}
+            />
+          </Head>
+        )}
+        {page === 0 && heading && <h1 class="text-4xl font-bold">{heading}</h1>}
+        {page === 0 && facets && (
+          <FilterBar
+            facets={facets}
+            filters={filters}
+            fixed={{ category, tag }}
+            context={{ url: new URL(url), perPage }}
+          />
+        )}
+        {page === 0 && posts.length === 0 && (
+          <p class="text-base">No posts match these filters.</p>
+        )}
         <div class="gap-8 grid grid-cols-1 lg:grid-cols-3 md:grid-cols-2">
           {posts?.slice(from, to).map((post) => (
-            <a
-              href={`/blog/${post.slug}`}
-              class="border border-secondary overflow-hidden rounded-lg"
-            >
-              {post.image && (
-                <Image
-                  width={380}
-                  height={274}
-                  class="object-fit w-full"
-                  sizes="(max-width: 640px) 100vw, 30vw"
-                  src={post.image}
-                  alt={post.image}
-                  decoding="async"
-                  loading="lazy"
-                />
-              )}
+            <article class="relative border border-secondary overflow-hidden rounded-lg">
+              <Image
+                width={380}
+                height={274}
+                class="object-fit w-full"
+                sizes="(max-width: 640px) 100vw, 30vw"
+                src={postImage(post)}
+                alt={post.title}
+                decoding="async"
+                loading="lazy"
+              />
               <div class="p-6 space-y-4">
                 <div class="space-y-2">
-                  <h3 class="font-subtitle text-2xl">{post.title}</h3>
+                  <h3 class="font-subtitle text-2xl">
+                    <a
+                      href={language
+                        ? `/${language}/blog/${post.slug}`
+                        : `/blog/${post.slug}`}
+                      class="after:absolute after:inset-0"
+                    >
+                      {post.title}
+                    </a>
+                  </h3>
                   <p class="text-base">{post.excerpt}</p>
                 </div>
                 {post.categories && post.categories.length > 0 && (
-                  <div class="flex flex-wrap gap-2">
+                  <div class="relative z-10 flex flex-wrap gap-2">
                     {post.categories
-                      ?.filter((category) =>
-                        (category?.name || "").toLowerCase() !== "linkedin" &&
-                        (category?.slug || "").toLowerCase() !== "linkedin"
-                      )
+                      ?.filter(isVisibleCategory)
                       .map((category) => (
-                        <div class="badge badge-lg badge-primary text-xs">
+                        <a
+                          href={categoryUrl(category.slug)}
+                          class="badge badge-lg badge-primary text-xs"
+                        >
                           {category.name}
-                        </div>
+                        </a>
                       ))}
                   </div>
                 )}
@@ -112,9 +332,16 @@ export default function BlogPosts(
                   </span>
                   <span>•</span>
                   <span>{post.authors[0]?.name}</span>
+                  <span>•</span>
+                  <span>
+                    {readingTimeLabel(
+                      postReadingMinutes(post),
+                      language ?? "en",
+                    )}
+                  </span>
                 </div>
               </div>
-            </a>
+            </article>
           ))}
         </div>
         {posts && to < posts.length && (
@@ -0,0 +1,93 @@
+import type { SectionProps } from "@deco/deco";
+import { useSection } from "@deco/deco/hooks";
+import { searchPosts } from "site/sdk/search.ts";
+
+export interface Props {
+  /** @description Placeholder of the search input */
+  placeholder?: string;
+  /** @description Maximum number of results */
+  limit?: number;
+  /**
+   * @description When set, results link to their page in this language, e.g. /pt/blog/:slug
+   */
+  language?: string;
+}
+
+const QUERY_PARAM = "q";
+// Fixed so the results container can be swapped across renders
+const RESULTS_ID = "blog-search-results";
+
+/** The query comes in the URL on page loads and as form data while typing */
+async function readQuery(req: Request) {
+  if (req.method === "POST") {
+    const form = await req.formData().catch(() => null);
+    const value = form?.get(QUERY_PARAM);
+    if (typeof value === "string") return value;
+  }
+  return new URL(req.url).searchParams.get(QUERY_PARAM) ?? "";
+}
+
+export const loader = async (props: Props, req: Request) => {
+  const query = (await readQuery(req)).trim().slice(0, 200);
+  const results = query ? await searchPosts(query, props.limit ?? 20) : [];
+  return { ...props, query, results };
+};
+
+export default function BlogSearch(
+  { placeholder = "Search posts", language, query, results }: SectionProps<
+    typeof loader
+  >,
+) {
+  const postUrl = (slug: string) =>
+    language ? `/${language}/blog/${slug}` : `/blog/${slug}`;
+
+  return (
+    <div class="container lg:mx-auto mx-2 py-12 lg:py-14 max-w-3xl space-y-8">
+      <form action="/search" method="get" role="search">
+        <label class="input input-bordered flex items-center gap-2">
+          <input
+            type="search"
+            name={QUERY_PARAM}
+            value={query}
+            placeholder={placeholder}
+            autocomplete="off"
+            class="grow"
+            hx-post={useSection()}
+            hx-trigger="input changed delay:300ms, search"
+            hx-target={`#${RESULTS_ID}`}
+            hx-select={`#${RESULTS_ID}`}
+            hx-swap="outerHTML"
+            hx-indicator="closest label"
+          />
+          <span class="loading loading-spinner loading-sm hidden [.htmx-request_&]:inline-block" />
+        </label>
+      </form>
+      <div id={RESULTS_ID} aria-live="polite" class="space-y-6">
+        {query && results.length === 0 && (
+          <p class="text-base">No posts found for “{query}”.</p>
+        )}
+        {results.map((result) => (
+          <a href={postUrl(result.slug)} class="block space-y-2 group">
+            <h3
+              class="font-subtitle text-2xl group-hover:underline [&_mark]:bg-secondary"
+              dangerouslySetInnerHTML={{ __html: result.title }}
+            />
+            <p
+              class="text-base [&_mark]:bg-secondary"
+              dangerouslySetInnerHTML={{ __html: result.snippet }}
+            />
+            {result.date && (
+              <p class="text-sm opacity-70">
+                {new Date(result.date).toLocaleDateString("en-US", {
+                  month: "long",
+                  day: "numeric",
+                  year: "numeric",
+                })}
+              </p>
+            )}
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import type { BlogPost } from "apps/blog/types.ts";
+import Image from "apps/website/components/Image.tsx";
+import type { RequestURLParam } from "apps/website/functions/requestToParam.ts";
+import type { SectionProps } from "@deco/deco";
+import { postTitle } from "site/sdk/blog.ts";
+import { postImage } from "site/sdk/ogImage.ts";
+import { isVisibleCategory } from "site/sdk/postFilters.ts";
+import { adjacentPosts, relatedPosts } from "site/sdk/related.ts";
+
+export interface Props {
+  /** @description Slug of the post being read */
+  slug: RequestURLParam;
+  /** @description Language prefix of the page, kept in the links */
+  lang?: RequestURLParam;
+  /**
+   * @title Related posts
+   * @default 3
+   */
+  limit?: number;
+  /** @default Related posts */
+  title?: string;
+}
+
+export const loader = async (props: Props) => {
+  const [related, adjacent] = await Promise.all([
+    relatedPosts(props.slug, props.limit ?? 3),
+    adjacentPosts(props.slug),
+  ]);
+  return {
+    ...props,
+    related: related.map(({ post }) => post),
+    ...adjacent,
+  };
+};
+
+const formatDate = (date?: string) =>
+  date
+    ? new Date(date).toLocaleDateString("en-US", {
+      month: "long",
+      day: "numeric",
+      year: "numeric",
+    })
+    : "";
+
+function PostCard({ post, href }: { post: BlogPost; href: string }) {
+  return (
+    <article class="relative border border-secondary overflow-hidden rounded-lg">
+      <Image
+        width={380}
+        height={200}
+        class="object-cover w-full aspect-[19/10]"
+        sizes="(max-width: 640px) 100vw, 30vw"
+        src={postImage(post)}
+        alt={post.title}
+        decoding="async"
+        loading="lazy"
+      />
+      <div class="p-6 space-y-3">
+        <h3 class="font-subtitle text-2xl">
+          <a href={href} class="after:absolute after:inset-0">
+            {postTitle(post)}
+          </a>
+        </h3>
+        {post.excerpt && <p class="text-base line-clamp-3">{post.excerpt}</p>}
+        <div class="flex flex-wrap gap-2">
+          {(post.categories ?? []).filter(isVisibleCategory).map((category) => (
+            <span key={category.slug} class="badge badge-primary text-xs">
+              {category.name}
+            </span>
+          ))}
+        </div>
+        <p class="text-sm">{formatDate(post.date)}</p>
+      </div>
+    </article>
+  );
+}
+
+function AdjacentLink(
+  { post, href, label, align }: {
+    post: BlogPost;
+    href: string;
+    label: string;
+    align: "start" | "end";
+  },
+) {
+  return (
+    <a
+      href={href}
+      rel={align === "start" ? "prev" : "next"}
+      class={`flex flex-col gap-1 p-4 border border-secondary rounded-lg hover:bg-secondary/20 ${
+        align === "end" ? "items-end text-right md:col-start-2" : ""
+      }`}
+    >
+      <span class="text-sm uppercase tracking-wide">{label}</span>
+      <span class="font-subtitle text-xl">{postTitle(post)}</span>
+    </a>
+  );
+}
+
+export default function RelatedPosts(
+  { lang, title = "Related posts", related, previous, next }: SectionProps<
+    typeof loader
+  >,
+) {
+  const postUrl = (post: BlogPost) =>
+    lang ? `/${lang}/blog/${post.slug}` : `/blog/${post.slug}`;
+
+  if (!related.length && !previous && !next) return null;
+
+  return (
+    <div class="container mx-auto px-4 md:px-0 pb-12 lg:pb-28 max-w-3xl lg:max-w-5xl flex flex-col gap-12 text-sm">
+      {(previous || next) && (
+        <nav
+          aria-label="Previous and next posts"
+          class="grid gap-4 md:grid-cols-2"
+        >
+          {previous && (
+            <AdjacentLink
+              post={previous}
+              href={postUrl(previous)}
+              label="← Previous"
+              align="start"
+            />
+          )}
+          {next && (
+            <AdjacentLink
+              post={next}
+              href={postUrl(next)}
+              label="Next →"
+              align="end"
+            />
+          )}
+        </nav>
+      )}
+      {related.length > 0 && (
+        <section class="flex flex-col gap-6">
+          <h2 class="text-3xl font-bold">{title}</h2>
+          <div class="gap-8 grid grid-cols-1 lg:grid-cols-3 md:grid-cols-2">
+            {related.map((post) => (
+              <PostCard key={post.slug} post={post} href={postUrl(post)} />
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1 @@
+ALTER TABLE `post_translations` ADD `source_hash` text;
\ No newline at end of file
@@ -0,0 +1,3 @@
+-- Keep only the latest translation of each language before enforcing it
+DELETE FROM `post_translations` WHERE `rowid` NOT IN (SELECT max(`rowid`) FROM `post_translations` GROUP BY `post_id`, `language_code`);--> statement-breakpoint
+CREATE UNIQUE INDEX `post_translations_post_language_unique` ON `post_translations` (`post_id`,`language_code`);
\ No newline at end of file
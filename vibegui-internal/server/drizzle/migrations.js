@@ -1,12 +1,16 @@
 import journal from './meta/_journal.json';
 import m0000 from './0000_pretty_silver_centurion.sql';
 import m0001 from './0001_shallow_electro.sql';
+import m0002 from './0002_quiet_vision.sql';
+import m0003 from './0003_tidy_lookup.sql';
 
   export default {
     journal,
     migrations: {
       m0000,
-m0001
+m0001,
+m0002,
+m0003
     }
   }
   
\ No newline at end of file
@@ -4,7 +4,7 @@
  * After making changes to this file, run `npm run db:generate` to generate the migration file.
  * Then, by just using the app, the migration is lazily ensured at runtime.
  */
-import { integer, sqliteTable, text } from "@deco/workers-runtime/drizzle";
+import { integer, sqliteTable, text, uniqueIndex } from "@deco/workers-runtime/drizzle";
 
 export const todosTable = sqliteTable("todos", {
   id: integer("id").primaryKey(),
@@ -46,4 +46,8 @@ export const postTranslationsTable = sqliteTable("post_translations", {
   translatedContent: text("translated_content"),
   translatedAt: text("translated_at").default("CURRENT_TIMESTAMP"),
   isStale: integer("is_stale").default(0), // 0 = false, 1 = true
-});
+  sourceHash: text("source_hash"), // hash of the original text it was translated from
+}, (table) => [
+  // One translation per language: SAVE_TRANSLATION replaces it
+  uniqueIndex("post_translations_post_language_unique").on(table.postId, table.languageCode),
+]);
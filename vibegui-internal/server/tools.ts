@@ -13,7 +13,20 @@ import { z } from "zod";
 import type { Env } from "./main.ts";
 import { todosTable, postsTable, postMetadataTable, postTranslationsTable } from "./schema.ts";
 import { getDb } from "./db.ts";
-import { eq } from "drizzle-orm";
+import { fallbackChain, findPostInLanguage } from "./translations.ts";
+import { DEFAULT_GLOSSARY, translateHtml } from "./translator.ts";
+import { and, eq } from "drizzle-orm";
+// Shared with the site, which sanitizes again when rendering
+import { sanitizePostHtml } from "../../sdk/sanitize.ts";
+import { normalizeText, planSync, type SyncRecord } from "../../sdk/postSync.ts";
+
+/**
+ * Translated content as it is stored: HTML is sanitized, plain text (what D1
+ * keeps for most posts) is left as it is, since the site escapes it when it
+ * turns it into paragraphs.
+ */
+export const storedTranslation = (content: string, context: string) =>
+  /<[a-z][^>]*>/i.test(content) ? sanitizePostHtml(content, context) : content;
 
 /**
  * `createPrivateTool` is a wrapper around `createTool` that
@@ -540,8 +553,11 @@ export const createGetSingleBlogPostTool = (env: Env) =>
       })
       .from(postsTable)
       .leftJoin(
-        postMetadataTable, 
-        eq(postsTable.id, postMetadataTable.postId)
+        postMetadataTable,
+        and(
+          eq(postsTable.id, postMetadataTable.postId),
+          eq(postsTable.originalLanguage, postMetadataTable.languageCode),
+        ),
       )
       .where(eq(postsTable.id, context.postId))
       .limit(1);
@@ -577,6 +593,8 @@ export const createEditBlogPostTool = (env: Env) =>
       const db = await getDb(env);
 
       try {
+        const [before] = await selectTranslationSources(db, context.postId);
+
         // Update the post metadata
         await db.update(postMetadataTable)
           .set({ 
@@ -585,6 +603,11 @@ export const createEditBlogPostTool = (env: Env) =>
           })
           .where(eq(postMetadataTable.postId, context.postId));
 
+        // Translations were made from the old title and excerpt
+        if (before && await sourceHash(before) !== await sourceHash({ ...before, title: context.title, excerpt: context.excerpt })) {
+          await markTranslationsStale(db, context.postId);
+        }
+
         return {
           success: true,
           updatedPost: {
@@ -647,22 +670,56 @@ export const createDeleteBlogPostTool = (env: Env) =>
 const TRANSLATION_SCHEMA = {
   type: "object",
   properties: {
-    title: {
-      type: "string",
-      description: "Translated title"
-    },
-    excerpt: {
-      type: "string", 
-      description: "Translated excerpt"
-    },
-    content: {
-      type: "string",
-      description: "Translated content"
+    segments: {
+      type: "array",
+      items: { type: "string" },
+      description: "Translated segments, one per source segment, in the same order"
     }
   },
-  required: ["title", "excerpt", "content"]
+  required: ["segments"]
 };
 
+type Db = Awaited<ReturnType<typeof getDb>>;
+
+/**
+ * What translations are made from: the post content with its title and
+ * excerpt in the original language. For every post, or just one.
+ */
+const selectTranslationSources = (db: Db, postId?: string) =>
+  db.select({
+    postId: postsTable.id,
+    originalLanguage: postsTable.originalLanguage,
+    content: postsTable.content,
+    title: postMetadataTable.title,
+    excerpt: postMetadataTable.excerpt,
+  })
+  .from(postsTable)
+  .leftJoin(
+    postMetadataTable,
+    and(
+      eq(postsTable.id, postMetadataTable.postId),
+      eq(postsTable.originalLanguage, postMetadataTable.languageCode),
+    ),
+  )
+  .where(postId ? eq(postsTable.id, postId) : undefined);
+
+/**
+ * SHA-256 of the source a translation is made from, stored with it as
+ * `sourceHash`. Whitespace and character references do not count.
+ */
+const sourceHash = async (source: { title: string | null; excerpt: string | null; content: string }) => {
+  const text = JSON.stringify([source.title ?? "", source.excerpt ?? "", source.content].map(normalizeText));
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+const markTranslationsStale = (db: Db, postId: string) =>
+  db.update(postTranslationsTable)
+    .set({ isStale: 1 })
+    .where(eq(postTranslationsTable.postId, postId));
+
 export const createCheckTranslationTool = (env: Env) =>
   createTool({
     id: "CHECK_TRANSLATION",
@@ -686,7 +743,10 @@ export const createCheckTranslationTool = (env: Env) =>
 
       const translation = await db.select()
         .from(postTranslationsTable)
-        .where(eq(postTranslationsTable.postId, context.postId))
+        .where(and(
+          eq(postTranslationsTable.postId, context.postId),
+          eq(postTranslationsTable.languageCode, context.languageCode),
+        ))
         .limit(1);
 
       if (translation.length === 0) {
@@ -709,7 +769,7 @@ export const createCheckTranslationTool = (env: Env) =>
 export const createTranslateBlogPostTool = (env: Env) =>
   createTool({
     id: "TRANSLATE_BLOG_POST",
-    description: "Translate blog post content, title and excerpt to target language",
+    description: "Translate blog post content, title and excerpt to target language, in batches of HTML blocks that keep the source's tags, links and code",
     inputSchema: z.object({
       postId: z.string(),
       originalContent: z.string(),
@@ -717,6 +777,8 @@ export const createTranslateBlogPostTool = (env: Env) =>
       originalExcerpt: z.string(),
       originalLanguage: z.string(),
       targetLanguage: z.string(),
+      // Terms kept as they are, on top of the product names in DEFAULT_GLOSSARY
+      glossary: z.array(z.string()).optional(),
     }),
     outputSchema: z.object({
       translatedTitle: z.string(),
@@ -739,40 +801,56 @@ export const createTranslateBlogPostTool = (env: Env) =>
       const sourceLang = languageNames[context.originalLanguage as keyof typeof languageNames] || context.originalLanguage;
       const targetLang = languageNames[context.targetLanguage as keyof typeof languageNames] || context.targetLanguage;
 
-      const prompt = `You are a professional translator. Translate the following blog post content from ${sourceLang} to ${targetLang}. 
+      // One model call per batch of segments
+      const translateBatch = async (segments: string[], glossary: string[]) => {
+        const prompt = `Translate each of the following ${segments.length} blog post segments from ${sourceLang} to ${targetLang}.
 
-Maintain the tone, style, and meaning of the original text. Keep technical terms and proper nouns appropriate for the target language audience.
+Maintain the tone, style, and meaning of the original text. Segments may contain HTML: keep every tag and attribute exactly as it is, in the same order, and translate only the text between tags. Never change URLs or anything inside <code> or <pre>.
 
-ORIGINAL TITLE: ${context.originalTitle}
-ORIGINAL EXCERPT: ${context.originalExcerpt}  
-ORIGINAL CONTENT: ${context.originalContent}
+Keep these terms exactly as written, untranslated: ${glossary.join(", ")}.
 
-Provide accurate, natural translations that read well in ${targetLang}.`;
+Return exactly ${segments.length} segments, in the same order.
 
-      const result = await env.DECO_CHAT_WORKSPACE_API.AI_GENERATE_OBJECT({
-        model: "openai:gpt-oss-120b",
-        messages: [
-          {
-            role: "system",
-            content: "You are a professional translator specializing in blog content. Provide accurate, natural translations that maintain the original tone and meaning."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        schema: TRANSLATION_SCHEMA,
+SEGMENTS:
+${JSON.stringify(segments, null, 2)}`;
+
+        const result = await env.DECO_CHAT_WORKSPACE_API.AI_GENERATE_OBJECT({
+          model: "openai:gpt-oss-120b",
+          messages: [
+            {
+              role: "system",
+              content: "You are a professional translator specializing in blog content. Provide accurate, natural translations that maintain the original tone and meaning, and never alter HTML markup."
+            },
+            {
+              role: "user",
+              content: prompt
+            }
+          ],
+          temperature: 0.3,
+          schema: TRANSLATION_SCHEMA,
+        });
+
+        return Array.isArray(result.object?.segments) ? result.object.segments as string[] : [];
+      };
+
+      const result = await translateHtml(context.originalContent, translateBatch, {
+        texts: [context.originalTitle, context.originalExcerpt],
+        glossary: [...new Set([...DEFAULT_GLOSSARY, ...(context.glossary ?? [])])],
       });
 
-      if (!result.object?.title || !result.object?.excerpt || !result.object?.content) {
-        throw new Error("Failed to translate blog post content");
-      }
+      console.log("TRANSLATE_BLOG_POST", {
+        postId: context.postId,
+        targetLanguage: context.targetLanguage,
+        segments: result.segments,
+        batches: result.batches,
+        retries: result.retries,
+      });
 
+      const [translatedTitle, translatedExcerpt] = result.texts;
       return {
-        translatedTitle: result.object.title,
-        translatedExcerpt: result.object.excerpt,
-        translatedContent: result.object.content,
+        translatedTitle,
+        translatedExcerpt,
+        translatedContent: result.html,
       };
     },
   });
@@ -787,6 +865,9 @@ export const createSaveTranslationTool = (env: Env) =>
       translatedTitle: z.string(),
       translatedExcerpt: z.string(),
       translatedContent: z.string(),
+      // Hash of the source that was translated, as returned by
+      // FIND_STALE_TRANSLATIONS; defaults to the post as it is now
+      sourceHash: z.string().optional(),
     }),
     outputSchema: z.object({
       success: z.boolean(),
@@ -796,17 +877,46 @@ export const createSaveTranslationTool = (env: Env) =>
       const db = await getDb(env);
 
       try {
-        const translationId = `${context.postId}_${context.languageCode}_${Date.now()}`;
-        
-        await db.insert(postTranslationsTable).values({
-          id: translationId,
-          postId: context.postId,
-          languageCode: context.languageCode,
+        let hash = context.sourceHash ?? null;
+        if (!hash) {
+          const [source] = await selectTranslationSources(db, context.postId);
+          hash = source ? await sourceHash(source) : null;
+        }
+        const values = {
           title: context.translatedTitle,
           excerpt: context.translatedExcerpt,
-          translatedContent: context.translatedContent,
+          translatedContent: storedTranslation(
+            context.translatedContent,
+            `SAVE_TRANSLATION ${context.postId} (${context.languageCode})`,
+          ),
+          translatedAt: new Date().toISOString(),
           isStale: 0, // Fresh translation
-        });
+          sourceHash: hash,
+        };
+        const sameLanguage = and(
+          eq(postTranslationsTable.postId, context.postId),
+          eq(postTranslationsTable.languageCode, context.languageCode),
+        );
+
+        // A re-translation replaces the one it makes stale
+        const existing = await db.select({ id: postTranslationsTable.id })
+          .from(postTranslationsTable)
+          .where(sameLanguage)
+          .limit(1);
+
+        let translationId: string;
+        if (existing.length > 0) {
+          translationId = existing[0].id;
+          await db.update(postTranslationsTable).set(values).where(sameLanguage);
+        } else {
+          translationId = `${context.postId}_${context.languageCode}_${Date.now()}`;
+          await db.insert(postTranslationsTable).values({
+            id: translationId,
+            postId: context.postId,
+            languageCode: context.languageCode,
+            ...values,
+          });
+        }
 
         return {
           success: true,
@@ -822,10 +932,14 @@ export const createSaveTranslationTool = (env: Env) =>
 export const createGetBlogPostWithTranslationTool = (env: Env) =>
   createTool({
     id: "GET_BLOG_POST_WITH_TRANSLATION",
-    description: "Get blog post with content in requested language (original or translated)",
+    description: "Get blog post with content in requested language (original or translated), falling back to other languages when it has no translation",
     inputSchema: z.object({
       postId: z.string(),
       languageCode: z.string(),
+      // Languages to try next, in order; "original" is the post's own.
+      // Defaults to the base language and the original (pt-BR -> pt -> original),
+      // [] serves the requested language only
+      fallback: z.array(z.string()).optional(),
     }),
     outputSchema: z.object({
       post: z.object({
@@ -845,72 +959,383 @@ export const createGetBlogPostWithTranslationTool = (env: Env) =>
     execute: async ({ context }) => {
       const db = await getDb(env);
 
-      // First, get the original post
-      const originalPost = await db.select()
-        .from(postsTable)
-        .where(eq(postsTable.id, context.postId))
-        .limit(1);
+      const found = await findPostInLanguage(
+        db,
+        context.postId,
+        fallbackChain(context.languageCode, context.fallback),
+      );
 
-      if (originalPost.length === 0) {
+      if (!found) {
         return { post: null, needsTranslation: false };
       }
 
-      const post = originalPost[0];
+      const { post, match } = found;
+      // A fallback may be served, but the language itself is still missing
+      const needsTranslation = context.languageCode !== post.originalLanguage &&
+        match?.language !== context.languageCode;
 
-      // If requesting original language, get from post_metadata
-      if (context.languageCode === post.originalLanguage) {
-        const metadata = await db.select()
-          .from(postMetadataTable)
-          .where(eq(postMetadataTable.postId, context.postId))
-          .limit(1);
+      if (!match) {
+        return { post: null, needsTranslation };
+      }
 
-        if (metadata.length > 0) {
-          return {
-            post: {
-              id: post.id,
-              originalSlug: post.originalSlug,
-              title: metadata[0].title,
-              excerpt: metadata[0].excerpt,
-              content: post.content,
-              language: post.originalLanguage,
-              isTranslated: false,
-              authorName: post.authorName,
-              publishedDate: post.publishedDate,
-              interactionCount: post.interactionCount,
-            },
-            needsTranslation: false,
-          };
+      return {
+        post: {
+          id: post.id,
+          originalSlug: post.originalSlug,
+          title: match.title,
+          excerpt: match.excerpt,
+          content: match.content,
+          language: match.language,
+          isTranslated: match.isTranslated,
+          authorName: post.authorName,
+          publishedDate: post.publishedDate,
+          interactionCount: post.interactionCount,
+        },
+        needsTranslation,
+      };
+    },
+  });
+
+export const createListPostTranslationsTool = (env: Env) =>
+  createTool({
+    id: "LIST_POST_TRANSLATIONS",
+    description: "List the languages every blog post can be read in (original and translations), for sitemaps and hreflang",
+    inputSchema: z.object({}),
+    outputSchema: z.object({
+      posts: z.array(z.object({
+        postId: z.string(),
+        originalLanguage: z.string(),
+        updatedAt: z.string().nullable(),
+        translations: z.array(z.object({
+          languageCode: z.string(),
+          translatedAt: z.string().nullable(),
+        })),
+      })),
+    }),
+    execute: async () => {
+      const db = await getDb(env);
+
+      const posts = await db.select({
+        id: postsTable.id,
+        originalLanguage: postsTable.originalLanguage,
+        updatedAt: postsTable.updatedAt,
+      })
+      .from(postsTable);
+
+      const translations = await db.select({
+        postId: postTranslationsTable.postId,
+        languageCode: postTranslationsTable.languageCode,
+        translatedAt: postTranslationsTable.translatedAt,
+      })
+      .from(postTranslationsTable);
+
+      // A language may have been translated more than once; keep the latest
+      const latest = new Map<string, { languageCode: string; translatedAt: string | null }>();
+      for (const t of translations) {
+        const key = `${t.postId}|${t.languageCode}`;
+        const seen = latest.get(key);
+        if (!seen || (t.translatedAt ?? "") > (seen.translatedAt ?? "")) {
+          latest.set(key, { languageCode: t.languageCode, translatedAt: t.translatedAt });
         }
       }
 
-      // Check if translation exists
-      const translation = await db.select()
-        .from(postTranslationsTable)
-        .where(eq(postTranslationsTable.postId, context.postId))
-        .limit(1);
+      return {
+        posts: posts.map((post) => ({
+          postId: post.id,
+          originalLanguage: post.originalLanguage,
+          updatedAt: post.updatedAt,
+          translations: [...latest.entries()]
+            .filter(([key, t]) => key.startsWith(`${post.id}|`) && t.languageCode !== post.originalLanguage)
+            .map(([, t]) => t),
+        })),
+      };
+    },
+  });
 
-      if (translation.length > 0) {
-        return {
-          post: {
-            id: post.id,
-            originalSlug: post.originalSlug,
-            title: translation[0].title,
-            excerpt: translation[0].excerpt,
-            content: translation[0].translatedContent || post.content,
-            language: context.languageCode,
-            isTranslated: true,
-            authorName: post.authorName,
-            publishedDate: post.publishedDate,
-            interactionCount: post.interactionCount,
-          },
-          needsTranslation: false,
-        };
+/**
+ * A translation is stale when it was flagged (EDIT_BLOG_POST and
+ * SYNC_BLOG_POSTS flag a post's translations when its text changes) or
+ * when its source hash no longer matches the post, e.g. after an edit made
+ * straight in the database; those are flagged here too, unless `markStale`
+ * is false (dry runs). Translations saved before source hashes were stored
+ * only count with `includeUnhashed`.
+ */
+export const createFindStaleTranslationsTool = (env: Env) =>
+  createTool({
+    id: "FIND_STALE_TRANSLATIONS",
+    description: "Find translations made from an older version of their post's title, excerpt or content",
+    inputSchema: z.object({
+      postId: z.string().optional(),
+      languageCode: z.string().optional(),
+      includeUnhashed: z.boolean().optional(),
+      // Flag the translations whose source changed (default true)
+      markStale: z.boolean().optional(),
+    }),
+    outputSchema: z.object({
+      checked: z.number(),
+      stale: z.array(z.object({
+        translationId: z.string(),
+        postId: z.string(),
+        languageCode: z.string(),
+        originalLanguage: z.string(),
+        translatedAt: z.string().nullable(),
+        reason: z.enum(["flagged", "source-changed", "no-source-hash"]),
+        // Hash of the post as it is now, to pass on to SAVE_TRANSLATION
+        sourceHash: z.string(),
+      })),
+    }),
+    execute: async ({ context }) => {
+      const db = await getDb(env);
+
+      const sources = new Map<string, { originalLanguage: string; hash: string }>();
+      for (const source of await selectTranslationSources(db, context.postId)) {
+        sources.set(source.postId, {
+          originalLanguage: source.originalLanguage,
+          hash: await sourceHash(source),
+        });
       }
 
-      // No translation exists
+      const translations = await db.select({
+        id: postTranslationsTable.id,
+        postId: postTranslationsTable.postId,
+        languageCode: postTranslationsTable.languageCode,
+        translatedAt: postTranslationsTable.translatedAt,
+        isStale: postTranslationsTable.isStale,
+        sourceHash: postTranslationsTable.sourceHash,
+      })
+      .from(postTranslationsTable)
+      .where(and(
+        context.postId ? eq(postTranslationsTable.postId, context.postId) : undefined,
+        context.languageCode ? eq(postTranslationsTable.languageCode, context.languageCode) : undefined,
+      ));
+
+      const stale = [];
+      for (const translation of translations) {
+        const source = sources.get(translation.postId);
+        // Orphaned rows have nothing to be translated from
+        if (!source || translation.languageCode === source.originalLanguage) continue;
+
+        let reason: "flagged" | "source-changed" | "no-source-hash";
+        if (translation.isStale === 1) reason = "flagged";
+        else if (!translation.sourceHash) {
+          if (!context.includeUnhashed) continue;
+          reason = "no-source-hash";
+        } else if (translation.sourceHash !== source.hash) {
+          reason = "source-changed";
+          if (context.markStale !== false) {
+            await db.update(postTranslationsTable)
+              .set({ isStale: 1 })
+              .where(eq(postTranslationsTable.id, translation.id));
+          }
+        } else continue;
+
+        stale.push({
+          translationId: translation.id,
+          postId: translation.postId,
+          languageCode: translation.languageCode,
+          originalLanguage: source.originalLanguage,
+          translatedAt: translation.translatedAt,
+          reason,
+          sourceHash: source.hash,
+        });
+      }
+
+      console.log("FIND_STALE_TRANSLATIONS", { checked: translations.length, stale: stale.length });
+      return { checked: translations.length, stale };
+    },
+  });
+
+// ========== SYNC TOOLS ==========
+
+const syncRecordSchema = z.object({
+  slug: z.string(),
+  title: z.string(),
+  excerpt: z.string(),
+  content: z.string(), // plain text, as stored in D1
+  date: z.string(),
+  authorName: z.string(),
+  authorEmail: z.string(),
+  language: z.string().optional(),
+  interactionCount: z.number().optional(),
+});
+
+/**
+ * D1 side of the blocks <-> D1 sync (see sdk/postSync.ts). The caller sends
+ * the block side as records; the tool plans the sync, applies the D1
+ * actions and returns the D1 records the caller must write into blocks.
+ */
+export const createSyncBlogPostsTool = (env: Env) =>
+  createTool({
+    id: "SYNC_BLOG_POSTS",
+    description: "Diff blog post blocks against the D1 posts tables by slug and content hash, report drift and apply changes in the chosen direction",
+    inputSchema: z.object({
+      blocks: z.array(syncRecordSchema),
+      direction: z.enum(["blocks-to-db", "db-to-blocks", "both"]),
+      conflict: z.enum(["blocks", "db", "skip"]).optional(),
+      // Hashes returned by the previous sync, to tell which side changed
+      base: z.record(z.string()).optional(),
+      // Old slug -> current slug, from the site's redirects
+      renames: z.record(z.string()).optional(),
+      dryRun: z.boolean().optional(),
+    }),
+    outputSchema: z.object({
+      actions: z.array(z.object({
+        slug: z.string(),
+        kind: z.enum(["create-db", "update-db", "create-block", "update-block", "conflict", "skip"]),
+        renamedFrom: z.string().optional(),
+        fields: z.array(z.string()),
+        reason: z.string(),
+      })),
+      inSync: z.number(),
+      base: z.record(z.string()),
+      // D1 side of the create-block and update-block actions
+      pulled: z.array(syncRecordSchema),
+      applied: z.boolean(),
+      // D1 actions that could not be applied
+      failed: z.array(z.object({
+        slug: z.string(),
+        kind: z.string(),
+        error: z.string(),
+      })),
+    }),
+    execute: async ({ context }) => {
+      const db = await getDb(env);
+
+      // Title and excerpt come from the metadata in the original language
+      const rows = await db.select({
+        id: postsTable.id,
+        slug: postsTable.originalSlug,
+        content: postsTable.content,
+        language: postsTable.originalLanguage,
+        authorName: postsTable.authorName,
+        authorEmail: postsTable.authorEmail,
+        date: postsTable.publishedDate,
+        interactionCount: postsTable.interactionCount,
+        title: postMetadataTable.title,
+        excerpt: postMetadataTable.excerpt,
+      })
+      .from(postsTable)
+      .leftJoin(
+        postMetadataTable,
+        and(
+          eq(postsTable.id, postMetadataTable.postId),
+          eq(postsTable.originalLanguage, postMetadataTable.languageCode),
+        ),
+      );
+
+      const dbRecords: SyncRecord[] = rows.map((row) => ({
+        slug: row.slug,
+        title: row.title ?? "",
+        excerpt: row.excerpt ?? "",
+        content: row.content,
+        date: row.date ?? "",
+        authorName: row.authorName ?? "",
+        authorEmail: row.authorEmail ?? "",
+        language: row.language,
+        interactionCount: row.interactionCount ?? 0,
+      }));
+      const plan = await planSync(context.blocks, dbRecords, {
+        direction: context.direction,
+        conflict: context.conflict,
+        base: context.base,
+        renames: context.renames,
+      });
+
+      const blocks = new Map(context.blocks.map((record) => [record.slug, record]));
+      // Renamed posts are still under their old slug in D1
+      const rowsBySlug = new Map(rows.map((row) => [row.slug, row]));
+      const dbRecordsBySlug = new Map(dbRecords.map((record) => [record.slug, record]));
+      const pulled = plan.actions
+        .filter((action) => action.kind === "create-block" || action.kind === "update-block")
+        .map((action) => ({ ...dbRecordsBySlug.get(action.renamedFrom ?? action.slug)!, slug: action.slug }));
+
+      const failed: { slug: string; kind: string; error: string }[] = [];
+      if (!context.dryRun) {
+        for (const action of plan.actions) {
+          const record = blocks.get(action.slug);
+          if (!record) continue;
+          const language = record.language ?? "pt";
+
+          try {
+            if (action.kind === "create-db") {
+              await db.insert(postsTable).values({
+                id: record.slug,
+                originalSlug: record.slug,
+                content: record.content,
+                originalLanguage: language,
+                authorName: record.authorName || null,
+                authorEmail: record.authorEmail || null,
+                publishedDate: record.date || null,
+                interactionCount: record.interactionCount ?? 0,
+              });
+              await db.insert(postMetadataTable).values({
+                id: `${record.slug}_${language}`,
+                postId: record.slug,
+                languageCode: language,
+                title: record.title,
+                excerpt: record.excerpt,
+              });
+            } else if (action.kind === "update-db") {
+              const row = rowsBySlug.get(action.renamedFrom ?? action.slug)!;
+              const { id, language: originalLanguage } = row;
+              await db.update(postsTable)
+                .set({
+                  originalSlug: record.slug,
+                  content: record.content,
+                  authorName: record.authorName || null,
+                  authorEmail: record.authorEmail || null,
+                  publishedDate: record.date || null,
+                  interactionCount: record.interactionCount ?? 0,
+                  updatedAt: new Date().toISOString(),
+                })
+                .where(eq(postsTable.id, id));
+              if (row.title === null) {
+                // No metadata in the original language yet
+                await db.insert(postMetadataTable).values({
+                  id: `${id}_${originalLanguage}`,
+                  postId: id,
+                  languageCode: originalLanguage,
+                  title: record.title,
+                  excerpt: record.excerpt,
+                });
+              } else {
+                await db.update(postMetadataTable)
+                  .set({ title: record.title, excerpt: record.excerpt })
+                  .where(and(
+                    eq(postMetadataTable.postId, id),
+                    eq(postMetadataTable.languageCode, originalLanguage),
+                  ));
+              }
+              // Translations were made from the old text
+              if (action.fields.some((field) => ["title", "excerpt", "content"].includes(field))) {
+                await markTranslationsStale(db, id);
+              }
+            }
+          } catch (error) {
+            // D1 has no transactions here: report the post and go on with
+            // the others, and keep its old base hash so the next run sees
+            // it as still different
+            console.error(`❌ SYNC_BLOG_POSTS ${action.kind} ${action.slug} failed:`, error);
+            failed.push({ slug: action.slug, kind: action.kind, error: String(error) });
+            const known = context.base?.[action.slug];
+            if (known) plan.base[action.slug] = known;
+            else delete plan.base[action.slug];
+          }
+        }
+      }
+
+      console.log("SYNC_BLOG_POSTS", {
+        direction: context.direction,
+        dryRun: !!context.dryRun,
+        inSync: plan.inSync,
+        actions: plan.actions.length,
+        failed: failed.length,
+      });
       return {
-        post: null,
-        needsTranslation: true,
+        ...plan,
+        pulled,
+        applied: !context.dryRun,
+        failed,
       };
     },
   });
@@ -974,6 +1399,10 @@ export const tools = [
   createTranslateBlogPostTool,
   createSaveTranslationTool,
   createGetBlogPostWithTranslationTool,
+  createListPostTranslationsTool,
+  createFindStaleTranslationsTool,
+  // Blocks <-> D1 sync
+  createSyncBlogPostsTool,
   // Native hosting tools (wrapped)
   createWorkflowStatusTool,
   createListWorkflowRunsTool,
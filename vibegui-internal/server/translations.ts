@@ -0,0 +1,95 @@
+/**
+ * Language-aware lookup of blog posts, shared by the translation tools and
+ * test-translation-lookup.js, which runs it against a local SQLite
+ * database standing in for D1.
+ */
+import { and, eq, inArray } from "drizzle-orm";
+import type { BaseSQLiteDatabase } from "drizzle-orm/sqlite-core";
+import { postsTable, postMetadataTable, postTranslationsTable } from "./schema.ts";
+
+// Stands for the post's original language in a fallback chain
+export const ORIGINAL = "original";
+
+/**
+ * Languages to try, in order, when a post is asked for in `languageCode`:
+ * the language itself, then `fallback`. Without one, the base language of
+ * a regional code and then the original, e.g. pt-BR -> pt -> original.
+ * An empty `fallback` asks for that language only.
+ */
+export const fallbackChain = (languageCode: string, fallback?: string[]) => {
+  const base = languageCode.split("-")[0];
+  const rest = fallback ?? [...(base !== languageCode ? [base] : []), ORIGINAL];
+  return [...new Set([languageCode, ...rest])];
+};
+
+type Db = BaseSQLiteDatabase<"sync" | "async", unknown>;
+
+/**
+ * The post in the first language of `chain` it can be read in, or `match`
+ * null when none; null when the post does not exist.
+ */
+export const findPostInLanguage = async (db: Db, postId: string, chain: string[]) => {
+  const posts = await db.select()
+    .from(postsTable)
+    .where(eq(postsTable.id, postId))
+    .limit(1);
+
+  if (posts.length === 0) {
+    return null;
+  }
+
+  const post = posts[0];
+  const isOriginal = (code: string) => code === ORIGINAL || code === post.originalLanguage;
+
+  const codes = chain.filter((code) => !isOriginal(code));
+  const translations = codes.length > 0
+    ? await db.select()
+      .from(postTranslationsTable)
+      .where(and(
+        eq(postTranslationsTable.postId, postId),
+        inArray(postTranslationsTable.languageCode, codes),
+      ))
+    : [];
+
+  for (const code of chain) {
+    if (isOriginal(code)) {
+      const metadata = await db.select()
+        .from(postMetadataTable)
+        .where(and(
+          eq(postMetadataTable.postId, postId),
+          eq(postMetadataTable.languageCode, post.originalLanguage),
+        ))
+        .limit(1);
+
+      if (metadata.length > 0) {
+        return {
+          post,
+          match: {
+            language: post.originalLanguage,
+            title: metadata[0].title,
+            excerpt: metadata[0].excerpt,
+            content: post.content,
+            isTranslated: false,
+          },
+        };
+      }
+      continue;
+    }
+
+    const translation = translations.find((t) => t.languageCode === code);
+    if (translation) {
+      return {
+        post,
+        match: {
+          language: code,
+          title: translation.title,
+          excerpt: translation.excerpt,
+          content: translation.translatedContent || post.content,
+          isTranslated: true,
+        },
+      };
+    }
+  }
+
+  return { post, match: null };
+};
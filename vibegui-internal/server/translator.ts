@@ -0,0 +1,292 @@
+/**
+ * Chunked translation of post HTML. Content is split into block-level
+ * segments (paragraphs, headings, lists, ...), which are translated in
+ * batches small enough for one model call each and joined back in order.
+ * Code blocks and other markup without prose are never sent.
+ *
+ * The translated post must keep the source's tag structure, links, images
+ * and code exactly, and every glossary term as it is; segments that do not
+ * are translated again on their own before giving up.
+ *
+ * No dependencies: the model call is passed in, so test-html-translation.js
+ * can run this with a fake one.
+ */
+
+// Product names and terms that are never translated
+export const DEFAULT_GLOSSARY = ["deco", "deco.cx", "deco.chat", "MCP"];
+
+// Characters of source sent in one call, including title and excerpt
+const MAX_BATCH_CHARS = 6_000;
+
+// Tries per segment: in its batch, then once on its own
+const MAX_ATTEMPTS = 2;
+
+// Elements that start a segment of their own
+const BLOCK = new Set([
+  "p", "h1", "h2", "h3", "h4", "h5", "h6", "ul", "ol", "li", "dl", "dt", "dd",
+  "blockquote", "pre", "figure", "figcaption", "table", "thead", "tbody",
+  "tfoot", "tr", "div", "section", "article", "aside", "header", "footer",
+  "hr", "img", "iframe", "script", "style", "svg",
+]);
+
+// Blocks split further into their children when they are too long
+const CONTAINER = new Set([
+  "ul", "ol", "dl", "blockquote", "figure", "table", "thead", "tbody", "tfoot",
+  "div", "section", "article", "aside", "header", "footer",
+]);
+
+// Blocks copied as they are
+const VERBATIM = new Set(["pre", "hr", "img", "iframe", "script", "style", "svg"]);
+
+const VOID = new Set(["br", "hr", "img", "wbr", "input", "source", "meta", "link"]);
+
+const TAG = /<(\/?)([a-zA-Z][\w-]*)\b[^>]*?(\/?)>/g;
+
+export interface Segment {
+  html: string;
+  translate: boolean;
+}
+
+/** What a model is asked for: the segments of one batch, in order */
+export type TranslateBatch = (segments: string[], glossary: string[]) => Promise<string[]>;
+
+export interface TranslateHtmlResult {
+  html: string;
+  /** The title and excerpt, when given */
+  texts: string[];
+  segments: number;
+  batches: number;
+  retries: number;
+}
+
+const isHtml = (content: string) => /<[a-z][^>]*>/i.test(content);
+
+const textOf = (html: string) => html.replace(/<[^>]*>/g, "").trim();
+
+const translatable = (html: string, name?: string) =>
+  !(name && VERBATIM.has(name)) && textOf(html) !== "";
+
+/** Plain text, as D1 stores it: paragraphs separated by blank lines */
+function splitText(content: string): Segment[] {
+  return content.split(/(\n\s*\n)/).filter(Boolean).map((part) => ({
+    html: part,
+    translate: part.trim() !== "",
+  }));
+}
+
+/**
+ * Top-level blocks of `html` as segments, with what lies between them (text
+ * outside any block, whitespace) as segments of its own, so joining every
+ * segment gives `html` back. Blocks longer than `maxChars` that hold other
+ * blocks are split into their children.
+ */
+export function splitSegments(html: string, maxChars = MAX_BATCH_CHARS): Segment[] {
+  if (!isHtml(html)) return splitText(html);
+
+  const segments: Segment[] = [];
+  let depth = 0;
+  let start = 0; // where the pending segment begins
+  let block: { name: string; open: number; openEnd: number } | null = null;
+
+  const flushInline = (end: number) => {
+    const text = html.slice(start, end);
+    if (text) segments.push({ html: text, translate: translatable(text) });
+    start = end;
+  };
+
+  const closeBlock = (end: number) => {
+    const { name, openEnd } = block!;
+    const whole = html.slice(block!.open, end);
+    if (CONTAINER.has(name) && whole.length > maxChars) {
+      const closeStart = whole.lastIndexOf("</");
+      segments.push({ html: html.slice(block!.open, openEnd), translate: false });
+      segments.push(...splitSegments(html.slice(openEnd, block!.open + closeStart), maxChars));
+      segments.push({ html: whole.slice(closeStart), translate: false });
+    } else {
+      segments.push({ html: whole, translate: translatable(whole, name) });
+    }
+    block = null;
+    start = end;
+  };
+
+  for (const match of html.matchAll(TAG)) {
+    const [tag, closing, rawName, selfClosing] = match;
+    const name = rawName.toLowerCase();
+    const index = match.index!;
+    const end = index + tag.length;
+    const isVoid = VOID.has(name) || !!selfClosing;
+
+    if (!block) {
+      if (closing || !BLOCK.has(name)) continue; // inline, part of the pending text
+      flushInline(index);
+      block = { name, open: index, openEnd: end };
+      depth = 0;
+      if (isVoid) closeBlock(end);
+      else depth = 1;
+      continue;
+    }
+
+    if (name !== block.name) continue;
+    if (closing) depth--;
+    else if (!isVoid) depth++;
+    if (depth === 0) closeBlock(end);
+  }
+
+  if (block) {
+    // Unclosed: keep the rest of the content as one segment
+    const { name, open } = block;
+    segments.push({ html: html.slice(open), translate: translatable(html.slice(open), name) });
+  } else {
+    flushInline(html.length);
+  }
+  return segments;
+}
+
+/** Groups the indexes of segments to translate into batches of about `maxChars` */
+export function batchSegments(sizes: number[], maxChars = MAX_BATCH_CHARS): number[][] {
+  const batches: number[][] = [];
+  let current: number[] = [];
+  let chars = 0;
+  sizes.forEach((size, i) => {
+    if (current.length > 0 && chars + size > maxChars) {
+      batches.push(current);
+      current = [];
+      chars = 0;
+    }
+    current.push(i);
+    chars += size;
+  });
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+const decode = (text: string) =>
+  text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'").replace(/&amp;/g, "&");
+
+const attr = (tag: string, name: string) =>
+  tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"))
+    ?.slice(1).find((value) => value !== undefined) ?? null;
+
+/** What translation must not change: tags, link and image targets, code */
+function structureOf(html: string) {
+  const tags: string[] = [];
+  const urls: string[] = [];
+  for (const [tag, closing, name] of html.matchAll(TAG)) {
+    tags.push(`${closing}${name.toLowerCase()}`);
+    const url = attr(tag, "href") ?? attr(tag, "src");
+    if (!closing && url !== null) urls.push(url);
+  }
+  const code = [...html.matchAll(/<(pre|code)\b[^>]*>([\s\S]*?)<\/\1>/gi)]
+    .map(([, , body]) => decode(body));
+  return { tags, urls, code };
+}
+
+const occurrences = (text: string, term: string) => {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return (text.match(new RegExp(`(?<![\\w.-])${escaped}(?![\\w-]|\\.\\w)`, "g")) ?? []).length;
+};
+
+/**
+ * Every way `translated` differs from `source` where it must not: tag
+ * structure, link and image URLs, code, and glossary terms (kept at least
+ * as often as the source has them). Empty when the translation is faithful.
+ */
+export function structureIssues(source: string, translated: string, glossary: string[] = []): string[] {
+  const issues: string[] = [];
+  const [a, b] = [structureOf(source), structureOf(translated)];
+  if (a.tags.join(",") !== b.tags.join(",")) {
+    const at = a.tags.findIndex((tag, i) => tag !== b.tags[i]);
+    const i = at === -1 ? a.tags.length : at;
+    issues.push(`tags differ at #${i}: expected <${a.tags[i] ?? "end"}>, got <${b.tags[i] ?? "end"}>`);
+  }
+  if (a.urls.join("\n") !== b.urls.join("\n")) {
+    const missing = a.urls.filter((url) => !b.urls.includes(url));
+    issues.push(`links differ${missing.length ? `: missing ${missing.join(", ")}` : ""}`);
+  }
+  if (a.code.join("\n") !== b.code.join("\n")) {
+    issues.push("code changed");
+  }
+  const [sourceText, translatedText] = [decode(textOf(source)), decode(textOf(translated))];
+  for (const term of glossary) {
+    const expected = occurrences(sourceText, term);
+    if (expected > occurrences(translatedText, term)) {
+      issues.push(`glossary term "${term}" not kept`);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Translates `content` (HTML, or plain text) segment by segment, together
+ * with `texts` such as the title and excerpt, which go in the first batch.
+ * Throws when a segment cannot be translated faithfully, or when the
+ * joined post does not match the source's structure.
+ */
+export async function translateHtml(
+  content: string,
+  translateBatch: TranslateBatch,
+  { texts = [], glossary = DEFAULT_GLOSSARY, maxChars = MAX_BATCH_CHARS }: {
+    texts?: string[];
+    glossary?: string[];
+    maxChars?: number;
+  } = {},
+): Promise<TranslateHtmlResult> {
+  const segments = splitSegments(content, maxChars);
+  // Texts first, then every segment with prose
+  const sources = [
+    ...texts,
+    ...segments.filter((segment) => segment.translate).map((segment) => segment.html),
+  ];
+  const results: (string | null)[] = sources.map(() => null);
+  const batches = batchSegments(sources.map((source) => source.length), maxChars);
+
+  let retries = 0;
+  let pending = batches;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS && pending.length > 0; attempt++) {
+    const failed: number[] = [];
+    for (const batch of pending) {
+      let translated: string[] = [];
+      try {
+        translated = await translateBatch(batch.map((i) => sources[i]), glossary);
+      } catch (error) {
+        console.error("[translateHtml] batch failed", { attempt, size: batch.length, error: String(error) });
+      }
+      batch.forEach((index, i) => {
+        const result = translated.length === batch.length ? translated[i] : undefined;
+        const issues = typeof result === "string"
+          ? structureIssues(sources[index], result, glossary)
+          : ["missing from the response"];
+        if (issues.length === 0) results[index] = result!;
+        else {
+          failed.push(index);
+          if (attempt === MAX_ATTEMPTS) {
+            throw new Error(`Segment ${index} could not be translated faithfully: ${issues.join("; ")}`);
+          }
+        }
+      });
+    }
+    // Failed segments are tried again on their own
+    retries += attempt < MAX_ATTEMPTS ? failed.length : 0;
+    pending = failed.map((index) => [index]);
+  }
+
+  const translated = results.slice(texts.length);
+  let next = 0;
+  const html = segments
+    .map((segment) => segment.translate ? translated[next++]! : segment.html)
+    .join("");
+
+  const issues = structureIssues(content, html, glossary);
+  if (issues.length > 0) {
+    throw new Error(`Translated post does not match the source: ${issues.join("; ")}`);
+  }
+
+  return {
+    html,
+    texts: results.slice(0, texts.length) as string[],
+    segments: sources.length - texts.length,
+    batches: batches.length,
+    retries,
+  };
+}
@@ -30,6 +30,8 @@ import {
   createGetSingleBlogPostTool,
   createEditBlogPostTool,
   createDeleteBlogPostTool,
+  createFindStaleTranslationsTool,
+  storedTranslation,
 } from "./tools";
 
 // ========== BLOG SETUP WORKFLOWS ==========
@@ -255,59 +257,305 @@ const createMigrateAllBlogPostsWorkflow = (env: Env) => {
 // ========== RUNTIME TRANSLATION WORKFLOW ==========
 
 /**
- * Simplified Runtime Workflow: Get blog post with translation
- * This is a simpler approach that just checks for existing translations
- * For now, we'll focus on getting the core system working
+ * Runtime Workflow: Get a blog post in one or more languages, translating on demand
+ * - Find which of the post's translations are stale
+ * - For each target language, use the original or an up-to-date translation
+ * - Otherwise translate content, title and excerpt and save the translation
+ * - Report the outcome of every language
  */
 const createAutoTranslateBlogPostWorkflow = (env: Env) => {
-  const getBlogPostStep = createStepFromTool(createGetBlogPostWithTranslationTool(env));
+  const findStaleStep = createStepFromTool(createFindStaleTranslationsTool(env), {
+    name: "find-stale-translations",
+    displayName: "🔎 Find Stale Translations"
+  });
+
+  const prepareLanguagesStep = {
+    name: "prepare-target-languages",
+    displayName: "🔧 Prepare Target Languages"
+  };
+
+  const postSchema = z.object({
+    id: z.string(),
+    title: z.string(),
+    excerpt: z.string(),
+    content: z.string(),
+    language: z.string(),
+    isTranslated: z.boolean(),
+  });
 
   return createWorkflow({
     id: "AUTO_TRANSLATE_BLOG_POST",
     inputSchema: z.object({
       postId: z.string(),
-      targetLanguage: z.string(),
+      targetLanguage: z.string().optional(),
+      // Several languages in one run; targetLanguage is added to them
+      targetLanguages: z.array(z.string()).optional(),
     }),
     outputSchema: z.object({
       success: z.boolean(),
-      post: z.object({
-        id: z.string(),
-        title: z.string(),
-        excerpt: z.string(),
-        content: z.string(),
-        language: z.string(),
-        isTranslated: z.boolean(),
-      }).nullable(),
+      // The post in the first target language
+      post: postSchema.nullable(),
       needsTranslation: z.boolean(),
+      results: z.array(z.object({
+        language: z.string(),
+        status: z.enum(["original", "existing", "translated", "retranslated", "failed"]),
+        post: postSchema.nullable(),
+        error: z.string().optional(),
+      })),
     }),
   })
-    // Step 1: Check if post exists and get content in requested language
-    .then(getBlogPostStep)
-    
-    // Step 2: Prepare response
-    .map(({ inputData, getStepResult }) => {
-      const postResult = getStepResult(getBlogPostStep);
-      
-      if (postResult.post) {
-        return {
-          success: true,
-          post: {
-            id: postResult.post.id,
-            title: postResult.post.title,
-            excerpt: postResult.post.excerpt,
-            content: postResult.post.content,
-            language: postResult.post.language,
-            isTranslated: postResult.post.isTranslated,
-          },
-          needsTranslation: false,
-        };
-      } else {
+    // Step 1: Find stale translations of the post
+    .map(({ inputData }) => {
+      const languages = [...new Set([
+        ...(inputData.targetLanguage ? [inputData.targetLanguage] : []),
+        ...(inputData.targetLanguages ?? []),
+      ])];
+      if (languages.length === 0) {
+        throw new Error("Provide targetLanguage or targetLanguages");
+      }
+      return { postId: inputData.postId, languages };
+    }, prepareLanguagesStep)
+    .then(findStaleStep)
+
+    // Step 2: Serve, translate or re-translate each language
+    .map(async ({ inputData, getStepResult }) => {
+      const { postId, languages } = getStepResult(prepareLanguagesStep);
+      const stale = new Map(inputData.stale.map(t => [t.languageCode, t]));
+
+      const { post: source } = await createGetSingleBlogPostTool(env).execute({
+        context: { postId },
+      });
+      if (!source) {
         return {
           success: false,
           post: null,
-          needsTranslation: postResult.needsTranslation,
+          needsTranslation: false,
+          results: languages.map(language => ({
+            language,
+            status: "failed" as const,
+            post: null,
+            error: "Post not found",
+          })),
+        };
+      }
+
+      const results = [];
+      for (const language of languages) {
+        if (language === source.originalLanguage) {
+          results.push({
+            language,
+            status: "original" as const,
+            post: {
+              id: postId,
+              title: source.title ?? "",
+              excerpt: source.excerpt ?? "",
+              content: source.content,
+              language,
+              isTranslated: false,
+            },
+          });
+          continue;
+        }
+
+        const staleTranslation = stale.get(language);
+        try {
+          if (!staleTranslation) {
+            const existing = await createGetBlogPostWithTranslationTool(env).execute({
+              context: { postId, languageCode: language, fallback: [] },
+            });
+            if (existing.post?.isTranslated) {
+              const { id, title, excerpt, content } = existing.post;
+              results.push({
+                language,
+                status: "existing" as const,
+                post: { id, title, excerpt, content, language, isTranslated: true },
+              });
+              continue;
+            }
+          }
+
+          const translated = await createTranslateBlogPostTool(env).execute({
+            context: {
+              postId,
+              originalContent: source.content,
+              originalTitle: source.title ?? "",
+              originalExcerpt: source.excerpt ?? "",
+              originalLanguage: source.originalLanguage,
+              targetLanguage: language,
+            },
+          });
+          await createSaveTranslationTool(env).execute({
+            context: {
+              postId,
+              languageCode: language,
+              ...translated,
+              sourceHash: staleTranslation?.sourceHash,
+            },
+          });
+          console.log(`✅ ${staleTranslation ? "Re-translated" : "Translated"} ${postId} to ${language}`);
+          results.push({
+            language,
+            status: staleTranslation ? "retranslated" as const : "translated" as const,
+            post: {
+              id: postId,
+              title: translated.translatedTitle,
+              excerpt: translated.translatedExcerpt,
+              // As SAVE_TRANSLATION stored it
+              content: storedTranslation(translated.translatedContent, `AUTO_TRANSLATE_BLOG_POST ${postId} (${language})`),
+              language,
+              isTranslated: true,
+            },
+          });
+        } catch (error) {
+          console.error(`❌ Failed to translate ${postId} to ${language}:`, error);
+          results.push({ language, status: "failed" as const, post: null, error: String(error) });
+        }
+      }
+
+      return {
+        success: results.every(r => r.status !== "failed"),
+        post: results[0].post,
+        needsTranslation: results[0].status === "failed",
+        results,
+      };
+    }, {
+      name: "translate-languages",
+      displayName: "🌐 Translate Missing or Stale Languages"
+    })
+    .commit();
+};
+
+/**
+ * Re-translation Workflow: Bring stale translations up to date
+ * - Find translations made from an older version of their post
+ * - Re-translate up to `batchSize` of them, one at a time
+ * - Dry run (the default) only reports what would be re-translated
+ *
+ * Run it again while `remaining` is above zero, passing the failed items
+ * of `batch` as `failedBefore`: they go after every other stale
+ * translation, so one that keeps failing does not block the rest.
+ */
+const createRetranslateStaleWorkflow = (env: Env) => {
+  const findStaleStep = createStepFromTool(createFindStaleTranslationsTool(env), {
+    name: "find-stale-translations",
+    displayName: "🔎 Find Stale Translations"
+  });
+
+  const prepareFindStep = {
+    name: "prepare-find-input",
+    displayName: "🔧 Prepare Search Parameters"
+  };
+
+  return createWorkflow({
+    id: "RETRANSLATE_STALE_TRANSLATIONS",
+    inputSchema: z.object({
+      dryRun: z.boolean().optional().default(true),
+      batchSize: z.number().optional().default(5),
+      postId: z.string().optional(),
+      languageCode: z.string().optional(),
+      // Also re-translate translations saved before source hashes existed
+      includeUnhashed: z.boolean().optional().default(false),
+      // Failed on a previous run: tried last
+      failedBefore: z.array(z.object({
+        postId: z.string(),
+        languageCode: z.string(),
+      })).optional().default([]),
+    }),
+    outputSchema: z.object({
+      dryRun: z.boolean(),
+      checked: z.number(),
+      staleFound: z.number(),
+      batch: z.array(z.object({
+        postId: z.string(),
+        languageCode: z.string(),
+        reason: z.string(),
+        status: z.enum(["would-retranslate", "retranslated", "failed"]),
+        error: z.string().optional(),
+      })),
+      retranslated: z.number(),
+      failed: z.number(),
+      remaining: z.number(),
+    }),
+  })
+    // Step 1: Find stale translations
+    .map(({ inputData }) => ({
+      postId: inputData.postId,
+      languageCode: inputData.languageCode,
+      includeUnhashed: inputData.includeUnhashed,
+      // A dry run changes nothing, not even the stale flags
+      markStale: !inputData.dryRun,
+      dryRun: inputData.dryRun, // Preserve for later use
+      batchSize: inputData.batchSize, // Preserve for later use
+      failedBefore: inputData.failedBefore, // Preserve for later use
+    }), prepareFindStep)
+    .then(findStaleStep)
+
+    // Step 2: Re-translate one batch, or report it on a dry run
+    .map(async ({ inputData, getStepResult }) => {
+      const { dryRun, batchSize, failedBefore } = getStepResult(prepareFindStep);
+      const failedKeys = new Set(failedBefore.map((item) => `${item.postId}|${item.languageCode}`));
+      const failedLast = (item: { postId: string; languageCode: string }) =>
+        failedKeys.has(`${item.postId}|${item.languageCode}`) ? 1 : 0;
+      const found = [...inputData.stale].sort((a, b) => failedLast(a) - failedLast(b));
+      const batch = found.slice(0, Math.max(1, batchSize));
+
+      const results = [];
+      for (const stale of batch) {
+        const item = {
+          postId: stale.postId,
+          languageCode: stale.languageCode,
+          reason: stale.reason,
         };
+        if (dryRun) {
+          results.push({ ...item, status: "would-retranslate" as const });
+          continue;
+        }
+
+        try {
+          const { post } = await createGetSingleBlogPostTool(env).execute({
+            context: { postId: stale.postId },
+          });
+          if (!post) throw new Error("Post not found");
+
+          const translated = await createTranslateBlogPostTool(env).execute({
+            context: {
+              postId: post.id,
+              originalContent: post.content,
+              originalTitle: post.title ?? "",
+              originalExcerpt: post.excerpt ?? "",
+              originalLanguage: post.originalLanguage,
+              targetLanguage: stale.languageCode,
+            },
+          });
+          await createSaveTranslationTool(env).execute({
+            context: {
+              postId: post.id,
+              languageCode: stale.languageCode,
+              ...translated,
+              sourceHash: stale.sourceHash,
+            },
+          });
+          results.push({ ...item, status: "retranslated" as const });
+          console.log(`✅ Re-translated ${stale.postId} (${stale.languageCode})`);
+        } catch (error) {
+          console.error(`❌ Failed to re-translate ${stale.postId} (${stale.languageCode}):`, error);
+          results.push({ ...item, status: "failed" as const, error: String(error) });
+        }
       }
+
+      const retranslated = results.filter(r => r.status === "retranslated").length;
+      return {
+        dryRun,
+        checked: inputData.checked,
+        staleFound: found.length,
+        batch: results,
+        retranslated,
+        failed: results.filter(r => r.status === "failed").length,
+        remaining: found.length - retranslated,
+      };
+    }, {
+      name: "retranslate-batch",
+      displayName: "🌐 Re-translate Stale Batch"
     })
     .commit();
 };
@@ -911,6 +1159,7 @@ export const workflows = [
   createProcessBlogPostWorkflow,
   createMigrateAllBlogPostsWorkflow,
   createAutoTranslateBlogPostWorkflow,
+  createRetranslateStaleWorkflow,
   createSinglePostConsistencyWorkflow,
   createConsistencyCheckWorkflow,
   createCleanupTestPostsWorkflow,
@@ -0,0 +1,158 @@
+/**
+ * Test the chunked HTML translator (server/translator.ts) with a fake model,
+ * so no AI calls are made.
+ *
+ * Run with: bun test-html-translation.js
+ * (or node --experimental-strip-types test-html-translation.js on Node 22)
+ */
+import assert from 'node:assert/strict';
+import {
+  splitSegments,
+  structureIssues,
+  translateHtml,
+} from './server/translator.ts';
+
+const POST = [
+  '<h2 id="why">Why deco</h2>',
+  '\n',
+  '<p>We build <a href="https://deco.cx">deco</a> with <strong>MCP</strong> servers.</p>',
+  '\n',
+  '<pre><code class="language-ts">const answer = 42;</code></pre>',
+  '\n',
+  '<ul><li>Fast</li><li>Open, see <code>deco.json</code></li></ul>',
+  '<hr>',
+  '<p><img src="/assets/diagram.png" alt="Diagram"></p>',
+].join('');
+
+// Marks every text node as translated, leaving tags and code alone
+const fakeTranslate = (segment) =>
+  segment
+    .split(/(<pre[\s\S]*?<\/pre>|<code[\s\S]*?<\/code>|<[^>]*>)/)
+    .map((part) => part.startsWith('<') || !/\p{L}/u.test(part) ? part : `${part} [es]`)
+    .join('');
+
+const fakeModel = (calls = []) => (segments) => {
+  calls.push(segments);
+  return Promise.resolve(segments.map(fakeTranslate));
+};
+
+let failed = 0;
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}`);
+    console.error(`   ${error.message}`);
+  }
+}
+
+async function testHtmlTranslation() {
+  console.log('🧪 Testing chunked HTML translation');
+  console.log('===================================');
+
+  await test('segments join back into the source', () => {
+    const segments = splitSegments(POST);
+    assert.equal(segments.map((segment) => segment.html).join(''), POST);
+    assert.deepEqual(
+      segments.filter((segment) => segment.translate).map((segment) => segment.html.slice(0, 4)),
+      ['<h2 ', '<p>W', '<ul>'],
+    );
+  });
+
+  await test('code blocks, rules and images are not sent', () => {
+    const skipped = splitSegments(POST).filter((segment) => !segment.translate);
+    assert.ok(skipped.some((segment) => segment.html.startsWith('<pre>')));
+    assert.ok(skipped.some((segment) => segment.html === '<hr>'));
+    assert.ok(skipped.some((segment) => segment.html.startsWith('<p><img')));
+  });
+
+  await test('long containers are split into their children', () => {
+    const list = `<ul>${'<li>An item worth translating</li>'.repeat(10)}</ul>`;
+    const segments = splitSegments(list, 100);
+    assert.equal(segments.map((segment) => segment.html).join(''), list);
+    assert.equal(segments.filter((segment) => segment.translate).length, 10);
+  });
+
+  await test('plain text is split into paragraphs', () => {
+    const segments = splitSegments('First paragraph.\n\nSecond one.\nSame paragraph.');
+    assert.deepEqual(segments.map((segment) => segment.translate), [true, false, true]);
+  });
+
+  await test('translates title, excerpt and content, keeping the structure', async () => {
+    const result = await translateHtml(POST, fakeModel(), { texts: ['Title', 'Excerpt'] });
+    assert.deepEqual(result.texts, ['Title [es]', 'Excerpt [es]']);
+    assert.ok(result.html.includes('We build  [es]<a href="https://deco.cx">deco [es]</a>'));
+    assert.ok(result.html.includes('<code class="language-ts">const answer = 42;</code>'));
+    assert.deepEqual(structureIssues(POST, result.html), []);
+    assert.equal(result.batches, 1);
+  });
+
+  await test('long posts are translated in batches', async () => {
+    const calls = [];
+    const long = Array.from({ length: 12 }, (_, i) => `<p>Paragraph ${i} ${'text '.repeat(20)}</p>`).join('\n');
+    const result = await translateHtml(long, fakeModel(calls), { maxChars: 400 });
+    assert.ok(calls.length > 1, `expected several calls, got ${calls.length}`);
+    assert.ok(calls.every((segments) => segments.join('').length <= 400));
+    assert.equal(result.batches, calls.length);
+    assert.equal((result.html.match(/\[es\]/g) ?? []).length, 12);
+  });
+
+  await test('a segment that loses a link is retried on its own', async () => {
+    let broken = false;
+    const model = (segments) => Promise.resolve(segments.map((segment) => {
+      if (!broken && segment.includes('<a ')) {
+        broken = true;
+        return 'Construímos deco com servidores MCP.';
+      }
+      return fakeTranslate(segment);
+    }));
+    const result = await translateHtml(POST, model);
+    assert.equal(result.retries, 1);
+    assert.deepEqual(structureIssues(POST, result.html), []);
+  });
+
+  await test('a model that keeps breaking the structure fails the translation', async () => {
+    const model = (segments) => Promise.resolve(segments.map((segment) => segment.replace(/<\/?strong>/g, '')));
+    await assert.rejects(translateHtml(POST, model), /tags differ/);
+  });
+
+  await test('a wrong number of segments is retried', async () => {
+    let calls = 0;
+    const model = (segments) => {
+      calls++;
+      return Promise.resolve(calls === 1 ? segments.slice(1).map(fakeTranslate) : segments.map(fakeTranslate));
+    };
+    const result = await translateHtml(POST, model);
+    assert.equal(result.retries, 3);
+  });
+
+  await test('glossary terms must be kept', () => {
+    assert.deepEqual(
+      structureIssues('<p>Built on MCP and deco.cx</p>', '<p>Construído em MCP e deco.cx</p>', ['deco', 'deco.cx', 'MCP']),
+      [],
+    );
+    assert.deepEqual(
+      structureIssues('<p>We use deco</p>', '<p>Usamos decoração</p>', ['deco']),
+      ['glossary term "deco" not kept'],
+    );
+  });
+
+  await test('changed links and code are reported', () => {
+    const issues = structureIssues(
+      '<p><a href="/a">x</a> <code>npm i</code></p>',
+      '<p><a href="/b">x</a> <code>npm install</code></p>',
+    );
+    assert.deepEqual(issues, ['links differ: missing /a', 'code changed']);
+  });
+
+  console.log('');
+  if (failed) {
+    console.error(`💥 ${failed} failed`);
+    process.exit(1);
+  }
+  console.log('🎉 All HTML translation tests passed');
+}
+
+testHtmlTranslation();
@@ -0,0 +1,147 @@
+/**
+ * Test the language-aware post lookup (server/translations.ts) and the
+ * post_translations migrations against a local SQLite database standing in
+ * for D1.
+ *
+ * Run with: bun test-translation-lookup.js
+ * (or node --experimental-strip-types test-translation-lookup.js on Node 22)
+ */
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import Database from 'better-sqlite3';
+import { drizzle } from 'drizzle-orm/better-sqlite3';
+import { fallbackChain, findPostInLanguage } from './server/translations.ts';
+
+const MIGRATIONS = new URL('./server/drizzle/', import.meta.url);
+
+const applied = new Set();
+
+// Applies pending migrations the way drizzle's migrator does, stopping
+// before `until` (a migration tag)
+function migrate(sqlite, until) {
+  const journal = JSON.parse(readFileSync(new URL('meta/_journal.json', MIGRATIONS), 'utf8'));
+  for (const { tag } of journal.entries) {
+    if (tag === until) return;
+    if (applied.has(tag)) continue;
+    const sql = readFileSync(new URL(`${tag}.sql`, MIGRATIONS), 'utf8');
+    for (const statement of sql.split('--> statement-breakpoint')) {
+      sqlite.exec(statement);
+    }
+    applied.add(tag);
+  }
+}
+
+const insertTranslation = (sqlite, id, postId, languageCode, title) =>
+  sqlite.prepare(
+    `INSERT INTO post_translations (id, post_id, language_code, title, excerpt, translated_content)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+  ).run(id, postId, languageCode, title, `${title} excerpt`, `${title} content`);
+
+let failed = 0;
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}`);
+    console.error(`   ${error.message}`);
+  }
+}
+
+async function testTranslationLookup() {
+  console.log('🧪 Testing translation lookup against SQLite');
+  console.log('===========================================');
+
+  const sqlite = new Database(':memory:');
+  migrate(sqlite, '0003_tidy_lookup');
+
+  sqlite.prepare(
+    `INSERT INTO posts (id, original_slug, content, original_language) VALUES (?, ?, ?, ?)`,
+  ).run('why-we-web', 'why-we-web', 'The web is the most important platform.', 'en');
+  sqlite.prepare(
+    `INSERT INTO post_metadata (id, post_id, language_code, title, excerpt) VALUES (?, ?, ?, ?, ?)`,
+  ).run('why-we-web_en', 'why-we-web', 'en', 'Why we web', 'Building for the web');
+
+  // Saved twice before translations were unique per language
+  insertTranslation(sqlite, 'why-we-web_fr_1', 'why-we-web', 'fr', 'Old French');
+  insertTranslation(sqlite, 'why-we-web_fr_2', 'why-we-web', 'fr', 'Pourquoi le web');
+  insertTranslation(sqlite, 'why-we-web_pt_1', 'why-we-web', 'pt', 'Por que a web');
+
+  // Now the unique index, which drops the older duplicate first
+  migrate(sqlite);
+  const db = drizzle(sqlite);
+
+  await test('migration keeps the latest translation of each language', () => {
+    const rows = sqlite.prepare(
+      `SELECT id FROM post_translations WHERE language_code = 'fr'`,
+    ).all();
+    assert.deepEqual(rows.map((row) => row.id), ['why-we-web_fr_2']);
+  });
+
+  await test('a second translation in the same language is rejected', () => {
+    assert.throws(
+      () => insertTranslation(sqlite, 'why-we-web_fr_3', 'why-we-web', 'fr', 'Again'),
+      /UNIQUE constraint failed/,
+    );
+  });
+
+  await test('default fallback chain', () => {
+    assert.deepEqual(fallbackChain('pt-BR'), ['pt-BR', 'pt', 'original']);
+    assert.deepEqual(fallbackChain('es'), ['es', 'original']);
+    assert.deepEqual(fallbackChain('es', []), ['es']);
+  });
+
+  const lookup = (languageCode, fallback) =>
+    findPostInLanguage(db, 'why-we-web', fallbackChain(languageCode, fallback));
+
+  await test('Spanish falls back to the original, not another translation', async () => {
+    const { match } = await lookup('es');
+    assert.equal(match.language, 'en');
+    assert.equal(match.isTranslated, false);
+    assert.equal(match.title, 'Why we web');
+  });
+
+  await test('French returns the French translation', async () => {
+    const { match } = await lookup('fr');
+    assert.equal(match.language, 'fr');
+    assert.equal(match.isTranslated, true);
+    assert.equal(match.title, 'Pourquoi le web');
+  });
+
+  await test('pt-BR falls back to pt', async () => {
+    const { match } = await lookup('pt-BR');
+    assert.equal(match.language, 'pt');
+    assert.equal(match.title, 'Por que a web');
+  });
+
+  await test('configured fallbacks are tried in order', async () => {
+    assert.equal((await lookup('pt-BR', ['original'])).match.language, 'en');
+    assert.equal((await lookup('es', ['fr', 'original'])).match.language, 'fr');
+  });
+
+  await test('no fallback serves nothing for a missing language', async () => {
+    const { post, match } = await lookup('es', []);
+    assert.equal(post.id, 'why-we-web');
+    assert.equal(match, null);
+  });
+
+  await test('the original language is served from post metadata', async () => {
+    const { match } = await lookup('en', []);
+    assert.equal(match.isTranslated, false);
+    assert.equal(match.content, 'The web is the most important platform.');
+  });
+
+  await test('a missing post is null', async () => {
+    assert.equal(await findPostInLanguage(db, 'nope', ['en']), null);
+  });
+
+  console.log('');
+  if (failed) {
+    console.error(`💥 ${failed} failed`);
+    process.exit(1);
+  }
+  console.log('🎉 All translation lookup tests passed');
+}
+
+testTranslationLookup();